@@ -1,58 +1,141 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/sessions');
+const { isApiToken, findActiveApiToken } = require('../services/apiTokens');
+const { hasPermission } = require('../services/permissions');
 
-// Middleware to verify JWT token
+// Get the token from the Authorization header, falling back to the cookie
+const getToken = (req) => {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.cookies.jwt;
+};
+
+// Resolve a token to { user, session } for access tokens or { user, apiToken }
+// for personal access tokens. Resolves with { error, status } if it is not accepted.
+const resolveToken = async (token) => {
+  if (isApiToken(token)) {
+    const apiToken = await findActiveApiToken(token);
+    if (!apiToken) {
+      return { error: 'Invalid API token' };
+    }
+
+    const user = await User.findById(apiToken.user);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return { error: restriction, status: 403 };
+    }
+
+    return { user, apiToken };
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Reject tokens whose session was revoked (or that predate sessions)
+  const session = await findActiveSession(decoded.sid, decoded.id);
+  if (!session) {
+    return { error: 'Session expired' };
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  // Suspended and banned users are turned away even with a valid session
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    return { error: restriction, status: 403 };
+  }
+
+  return { user, session };
+};
+
+// Middleware to verify JWT token (cookie or Bearer) or personal access token
 exports.authenticate = async (req, res, next) => {
   try {
-    // Get token from cookies
-    const token = req.cookies.jwt;
+    const token = getToken(req);
     
     // Check if token exists
     if (!token) {
       return res.status(401).json({ message: 'Authentication required' });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    const { user, session, apiToken, error, status } = await resolveToken(token);
+    if (error) {
+      return res.status(status || 401).json({ message: error });
     }
     
-    // Attach user to request
+    // Attach user and session/token to request
     req.user = user;
+    req.authSession = session;
+    req.apiToken = apiToken;
     next();
   } catch (error) {
+    // Access tokens are short-lived; clients refresh via POST /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired' });
+    }
     console.error('Auth middleware error:', error);
     return res.status(401).json({ message: 'Invalid token' });
   }
 };
 
-// Middleware to check if user is admin
-exports.isAdmin = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+// Middleware to check that the user's role grants a permission
+exports.requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied. Missing permission: ' + permission });
   }
   next();
 };
 
+// Load the document named by req.params.id (into req.video, req.comment, ...)
+// and allow the request if the user owns it or has the given permission.
+// Documents the user may not see at all are reported as not found.
+exports.ownerOrPermission = (Model, action, permission) => async (req, res, next) => {
+  const name = Model.modelName.toLowerCase();
+  
+  try {
+    const doc = await Model.findById(req.params.id);
+    
+    if (!doc || (Model.canView && !Model.canView(doc, req.user))) {
+      return res.status(404).json({ message: `${Model.modelName} not found` });
+    }
+    
+    if (doc.user.toString() !== req.user._id.toString() && !hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: `Not authorized to ${action} this ${name}` });
+    }
+    
+    req[name] = doc;
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // Optional authentication - will attach user to req if token is valid, but won't fail if no token
 exports.optionalAuth = async (req, res, next) => {
   try {
-    const token = req.cookies.jwt;
+    const token = getToken(req);
     
     if (!token) {
       return next();
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const { user, session, apiToken } = await resolveToken(token);
     
     if (user) {
       req.user = user;
+      req.authSession = session;
+      req.apiToken = apiToken;
     }
     
     next();
@@ -61,3 +144,20 @@ exports.optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Require a scope when the request is authenticated with a personal access
+// token. Browser sessions and anonymous requests pass through unchanged.
+exports.requireScope = (scope) => (req, res, next) => {
+  if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+    return res.status(403).json({ message: `API token is missing the ${scope} scope` });
+  }
+  next();
+};
+
+// Reject personal access tokens, for account-level actions that need a real sign-in
+exports.requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({ message: 'This action requires signing in' });
+  }
+  next();
+};
@@ -70,6 +70,9 @@ const videoUpload = upload.fields([
   { name: 'thumbnail', maxCount: 1 }
 ]);
 
+// Create middleware for a single optional `thumbnail` image field
+const thumbnailUpload = upload.single('thumbnail');
+
 // Error handler for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -85,5 +88,6 @@ const handleUploadError = (err, req, res, next) => {
 
 module.exports = {
   videoUpload,
+  thumbnailUpload,
   handleUploadError
 };
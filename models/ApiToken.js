@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['videos:read', 'videos:write', 'comments:write', 'profile'];
+
+// Personal access token for scripts and third-party tools. Only the hash is
+// stored; the raw token is shown once when it is created.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (verification, password reset). Only the
+// hash is stored; the raw token exists only in the email.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+
+// Let MongoDB remove tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
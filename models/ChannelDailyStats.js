@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Channel-level metrics for one UTC day that don't belong to a single video.
+// Video metrics are summed from VideoDailyStats.
+const channelDailyStatsSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  subscribersGained: {
+    type: Number,
+    default: 0
+  },
+  subscribersLost: {
+    type: Number,
+    default: 0
+  }
+});
+
+channelDailyStatsSchema.index({ channel: 1, date: 1 }, { unique: true });
+
+const ChannelDailyStats = mongoose.model('ChannelDailyStats', channelDailyStatsSchema);
+
+module.exports = ChannelDailyStats;
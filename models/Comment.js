@@ -1,5 +1,8 @@
 
 const mongoose = require('mongoose');
+const Reaction = require('./Reaction');
+
+const MAX_EDIT_HISTORY = 20;
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -18,36 +21,120 @@ const commentSchema = new mongoose.Schema({
     ref: 'Video',
     required: true
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  dislikes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  replies: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Comment'
-  }],
+  // Reaction totals, kept in step with the Reaction collection
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  dislikeCount: {
+    type: Number,
+    default: 0
+  },
+  // Threads are two levels deep: replies always point at the top-level
+  // comment, and replies to replies name the person answered in replyTo
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
     default: null
-  }
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Number of replies, kept on top-level comments
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Held comments matched the channel's moderation rules and are only
+  // visible to their author until the video's owner approves them
+  status: {
+    type: String,
+    enum: ['published', 'held'],
+    default: 'published'
+  },
+  heldReason: {
+    type: String,
+    enum: ['link', 'blocked_word', null],
+    default: null
+  },
+  // Set when the video's owner hearts the comment
+  heartedAt: {
+    type: Date,
+    default: null
+  },
+  // Marks the comment as edited; earlier versions are kept in editHistory
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    _id: false,
+    content: String,
+    editedAt: Date
+  }]
 }, {
   timestamps: true
 });
 
-// Virtual for like count
-commentSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
-});
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 });
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+commentSchema.index({ video: 1, parentComment: 1, likeCount: -1, createdAt: -1 });
+// Review queue
+commentSchema.index({ video: 1, createdAt: -1 }, { partialFilterExpression: { status: 'held' } });
 
-// Virtual for dislike count
-commentSchema.virtual('dislikeCount').get(function() {
-  return this.dislikes.length;
-});
+// Held comments are only visible to their author
+commentSchema.statics.canView = function(comment, user) {
+  if (comment.status !== 'held') return true;
+  if (!user) return false;
+  
+  const authorId = comment.user._id || comment.user;
+  return authorId.toString() === user._id.toString();
+};
+
+// Filter for the comments a viewer may see: everything published, plus
+// their own held comments
+commentSchema.statics.visibleFilter = function(user) {
+  return user
+    ? { $or: [{ status: { $ne: 'held' } }, { user: user._id }] }
+    : { status: { $ne: 'held' } };
+};
+
+// Replace the content, keeping the previous version in the edit history
+commentSchema.methods.edit = function(content) {
+  this.editHistory.push({ content: this.content, editedAt: this.editedAt || this.createdAt });
+  if (this.editHistory.length > MAX_EDIT_HISTORY) {
+    this.editHistory.splice(0, this.editHistory.length - MAX_EDIT_HISTORY);
+  }
+  this.content = content;
+  this.editedAt = new Date();
+};
+
+// Delete a comment and its reactions. Top-level comments take their replies
+// with them (and are unpinned); published replies are taken off their
+// parent's count. Resolves with the number of published comments removed.
+commentSchema.statics.removeWithReplies = async function(comment) {
+  const ids = [comment._id];
+  let removed = comment.status === 'held' ? 0 : 1;
+  
+  if (!comment.parentComment) {
+    const replies = await this.find({ parentComment: comment._id }, 'status').lean();
+    await this.deleteMany({ parentComment: comment._id });
+    ids.push(...replies.map(reply => reply._id));
+    removed += replies.filter(reply => reply.status !== 'held').length;
+    await mongoose.model('Video').updateOne(
+      { _id: comment.video, pinnedComment: comment._id },
+      { pinnedComment: null }
+    );
+  } else if (comment.status !== 'held') {
+    await this.findByIdAndUpdate(comment.parentComment, { $inc: { replyCount: -1 } });
+  }
+  
+  await this.findByIdAndDelete(comment._id);
+  await Reaction.deleteMany({ targetType: 'comment', target: { $in: ids } });
+  return removed;
+};
 
 const Comment = mongoose.model('Comment', commentSchema);
 
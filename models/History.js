@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const historySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Last playback position in seconds, used to resume playback
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set once the user has watched (almost) to the end
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  watchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per user and video; re-watching moves the entry to the top
+historySchema.index({ user: 1, video: 1 }, { unique: true });
+historySchema.index({ user: 1, watchedAt: -1 });
+historySchema.index({ video: 1, watchedAt: -1 });
+
+// Fraction of the video after which it counts as fully watched
+const COMPLETED_THRESHOLD = 0.95;
+
+// Create or update the history entry for a user watching a video
+historySchema.statics.record = function(userId, video, position) {
+  const update = { watchedAt: new Date() };
+
+  if (position !== undefined) {
+    update.position = position;
+    update.completed = video.duration > 0 && position >= video.duration * COMPLETED_THRESHOLD;
+  }
+
+  return this.findOneAndUpdate(
+    { user: userId, video: video._id },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const History = mongoose.model('History', historySchema);
+
+module.exports = History;
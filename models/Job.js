@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Background job persisted in MongoDB so work survives restarts
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Percentage (0-100) reported by the job handler
+  progress: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run; pushed back between retries
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ video: 1, type: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
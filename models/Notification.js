@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const TYPES = [
+  'new_video',       // a subscribed channel published a video
+  'comment_reply',   // someone replied to the recipient's comment
+  'video_like',      // someone liked the recipient's video
+  'comment_like',    // someone liked the recipient's comment
+  'comment_heart',   // a video's owner hearted the recipient's comment
+  'new_subscriber'   // someone subscribed to the recipient's channel
+];
+
+const RETENTION = 90 * 24 * 60 * 60; // seconds
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Old notifications are removed automatically
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION });
+
+notificationSchema.statics.TYPES = TYPES;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
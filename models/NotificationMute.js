@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+// Notification types a user has muted for one channel
+const notificationMuteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mutedTypes: [{
+    type: String,
+    enum: Notification.TYPES
+  }]
+}, {
+  timestamps: true
+});
+
+notificationMuteSchema.index({ user: 1, channel: 1 }, { unique: true });
+notificationMuteSchema.index({ channel: 1, mutedTypes: 1 });
+notificationMuteSchema.index({ user: 1, updatedAt: -1 });
+
+const NotificationMute = mongoose.model('NotificationMute', notificationMuteSchema);
+
+module.exports = NotificationMute;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const WATCH_LATER_TITLE = 'Watch Later';
+
+const playlistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'private'
+  },
+  // System playlist every user has; cannot be renamed or deleted
+  isWatchLater: {
+    type: Boolean,
+    default: false
+  },
+  // Ordered list of videos in the playlist
+  videos: [{
+    _id: false,
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+playlistSchema.index({ user: 1, updatedAt: -1 });
+playlistSchema.index({ title: 'text', description: 'text' });
+
+// Each user has at most one Watch Later playlist
+playlistSchema.index(
+  { user: 1, isWatchLater: 1 },
+  { unique: true, partialFilterExpression: { isWatchLater: true } }
+);
+
+// Virtual for video count
+playlistSchema.virtual('videoCount').get(function() {
+  return this.videos ? this.videos.length : 0;
+});
+
+// Get the user's Watch Later playlist, creating it on first use
+playlistSchema.statics.getWatchLater = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId, isWatchLater: true },
+    { $setOnInsert: { title: WATCH_LATER_TITLE, visibility: 'private' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+module.exports = Playlist;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['video', 'comment'];
+const TYPES = ['like', 'dislike'];
+
+// One user's like or dislike of a video or comment. The targets keep
+// denormalized likeCount/dislikeCount totals (see services/reactions.js).
+const reactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A user has at most one reaction per target
+reactionSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+reactionSchema.index({ targetType: 1, target: 1 });
+// Liked videos, newest first
+reactionSchema.index({ user: 1, targetType: 1, type: 1, updatedAt: -1 });
+
+reactionSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reactionSchema.statics.TYPES = TYPES;
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+module.exports = Reaction;
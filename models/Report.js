@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['video', 'comment', 'user'];
+
+const REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'misinformation',
+  'copyright',
+  'other'
+];
+
+// How a moderator resolved the reports against a target
+const RESOLUTIONS = ['dismissed', 'removed', 'warned'];
+
+// A user's report against a video, comment or account. A user has at most one
+// open report per target; reporting again updates it.
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Uploader, comment author or the reported account itself
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    enum: RESOLUTIONS,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, targetType: 1, target: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.RESOLUTIONS = RESOLUTIONS;
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can grant
+const PERMISSIONS = [
+  'video.view.private',
+  'video.update.any',
+  'video.delete.any',
+  'video.takedown',
+  'comment.update.any',
+  'comment.delete.any',
+  'report.review',
+  'role.assign',
+  'role.manage',
+  'user.manage',
+  'platform.stats',
+  'analytics.view.any'
+];
+
+// Roles that always exist. They are defined here rather than stored so they
+// can't be edited or deleted.
+const BUILT_IN_ROLES = {
+  user: [],
+  moderator: ['comment.delete.any', 'video.view.private', 'video.takedown', 'report.review'],
+  admin: PERMISSIONS
+};
+
+// Custom role created by an admin
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]{2,30}$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }]
+}, {
+  timestamps: true
+});
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+roleSchema.statics.BUILT_IN_ROLES = BUILT_IN_ROLES;
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// How often a normalized query has been searched; feeds autocomplete
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 100
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchQuerySchema.index({ count: -1 });
+
+const SearchQuery = mongoose.model('SearchQuery', searchQuerySchema);
+
+module.exports = SearchQuery;
@@ -18,6 +18,8 @@ const subscriptionSchema = new mongoose.Schema({
 
 // Compound index to ensure uniqueness
 subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+subscriptionSchema.index({ channel: 1 });
+subscriptionSchema.index({ subscriber: 1, createdAt: -1 });
 
 const Subscription = mongoose.model('Subscription', subscriptionSchema);
 
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress. Chunks are appended to a partial file until
+// `offset` reaches `size`, then the upload is completed into a Video.
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total size of the file in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'expired'],
+    default: 'active'
+  },
+  // Set while a chunk is being written so concurrent appends are rejected
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // Abandoned uploads are removed after this time; extended by each chunk
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = UploadSession;
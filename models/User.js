@@ -11,6 +11,11 @@ const userSchema = new mongoose.Schema({
     minlength: 3,
     maxlength: 30
   },
+  // Lowercased username for prefix search in channel results
+  usernameLower: {
+    type: String,
+    select: false
+  },
   email: {
     type: String,
     required: true,
@@ -31,21 +36,84 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  subscribers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  subscribedTo: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  // Number of Subscription documents for this channel, kept in step by the
+  // subscribe/unsubscribe routes
+  subscriberCount: {
+    type: Number,
+    default: 0
+  },
+  // Built-in (user, moderator, admin) or custom role; see models/Role.js
+  role: {
+    type: String,
+    default: 'user',
+    trim: true
+  },
+  // New accounts start unverified (see POST /api/auth/register); accounts
+  // created before verification existed count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // Temporary suspension set by an admin
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null
+  },
+  // Permanent ban set by an admin
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  banReason: {
+    type: String,
+    default: null
+  },
+  // Warnings issued by moderators when resolving reports
+  warnings: [{
+    reason: {
+      type: String,
+      required: true
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
-  isAdmin: {
+  // When true, watched videos are not added to the user's history
+  historyPaused: {
     type: Boolean,
     default: false
+  },
+  // Channel-wide controls for comments on the user's videos; see
+  // services/commentModeration.js
+  commentSettings: {
+    disabled: {
+      type: Boolean,
+      default: false
+    },
+    holdLinks: {
+      type: Boolean,
+      default: false
+    },
+    blockedWords: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 50
+    }]
   }
 }, {
   timestamps: true,
   toJSON: {
+    virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
       return ret;
@@ -53,6 +121,15 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.index({ usernameLower: 1 });
+
+userSchema.pre('save', function(next) {
+  if (this.isModified('username')) {
+    this.usernameLower = this.username.toLowerCase();
+  }
+  next();
+});
+
 // Pre-save hook to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -71,9 +148,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Virtual for subscriber count
-userSchema.virtual('subscriberCount').get(function() {
-  return this.subscribers.length;
+// Message explaining why the account may not sign in, or null if it may
+userSchema.methods.getAccessRestriction = function() {
+  if (this.bannedAt) {
+    return `This account has been banned${this.banReason ? `: ${this.banReason}` : ''}`;
+  }
+  if (this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return `This account is suspended until ${this.suspendedUntil.toISOString()}` +
+      (this.suspensionReason ? `: ${this.suspensionReason}` : '');
+  }
+  return null;
+};
+
+// Kept for clients that still read the old isAdmin flag
+userSchema.virtual('isAdmin').get(function() {
+  return this.role === 'admin';
 });
 
 const User = mongoose.model('User', userSchema);
@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const { hasPermission } = require('../services/permissions');
 
 const videoSchema = new mongoose.Schema({
   title: {
@@ -8,18 +9,38 @@ const videoSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Lowercased, single-spaced title for prefix matches in search suggestions
+  titleLower: {
+    type: String,
+    select: false
+  },
   description: {
     type: String,
     trim: true,
     maxlength: 5000
   },
+  // Public URL of the authorized streaming endpoint
   videoUrl: {
     type: String,
     required: true
   },
+  // Location of the uploaded file relative to the project root; never exposed
+  videoPath: {
+    type: String,
+    select: false
+  },
+  // Uploaded by the creator or picked from the generated candidates
   thumbnailUrl: {
     type: String,
-    required: true
+    default: ''
+  },
+  thumbnailCandidates: [{
+    type: String
+  }],
+  // WebVTT index of the seek-preview sprite sheet
+  storyboardUrl: {
+    type: String,
+    default: null
   },
   duration: {
     type: Number,
@@ -45,34 +66,136 @@ const videoSchema = new mongoose.Schema({
   },
   tags: [{
     type: String,
-    trim: true
+    trim: true,
+    lowercase: true
   }],
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  // Reaction totals, kept in step with the Reaction collection
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  dislikeCount: {
+    type: Number,
+    default: 0
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
+  // Scheduled release time; the video stays private until then
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Visibility the scheduler applies at publishAt
+  publishVisibility: {
+    type: String,
+    enum: ['public', 'unlisted', null],
+    default: null
+  },
+  // HLS transcoding state; videos are only listed once processing is ready
+  processingStatus: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'failed'],
+    default: 'ready'
+  },
+  processingProgress: {
+    type: Number,
+    default: 0
+  },
+  processingError: {
+    type: String,
+    default: null
+  },
+  // Master playlist URL, set once transcoding succeeds
+  hlsUrl: {
+    type: String,
+    default: null
+  },
+  renditions: [{
+    type: String
   }],
-  dislikes: [{
+  // Set when a moderator takes the video down; hidden from everyone but the owner
+  takenDownAt: {
+    type: Date,
+    default: null
+  },
+  takenDownBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  takedownReason: {
+    type: String,
+    default: null
+  },
+  // Set once subscribers have been told about the video
+  subscribersNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Turned on by the owner to stop new comments on this video
+  commentsDisabled: {
+    type: Boolean,
+    default: false
+  },
+  // Top-level comment the owner pinned above the others
+  pinnedComment: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }]
+    ref: 'Comment',
+    default: null
+  },
+  // Time-decayed popularity, recomputed periodically by services/trending.js
+  trendingScore: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
-// Virtual for like count
-videoSchema.virtual('likeCount').get(function() {
-  return this.likes.length;
-});
+// Create text indexes for search
+videoSchema.index({ title: 'text', description: 'text', tags: 'text' });
 
-// Virtual for dislike count
-videoSchema.virtual('dislikeCount').get(function() {
-  return this.dislikes.length;
+videoSchema.index({ visibility: 1, createdAt: -1 });
+videoSchema.index({ user: 1, createdAt: -1 });
+videoSchema.index({ trendingScore: -1 });
+videoSchema.index({ category: 1, trendingScore: -1 });
+videoSchema.index({ tags: 1 });
+videoSchema.index({ titleLower: 1 });
+videoSchema.index({ publishAt: 1 }, { partialFilterExpression: { publishAt: { $type: 'date' } } });
+
+videoSchema.pre('save', function(next) {
+  if (this.isModified('title')) {
+    this.titleLower = this.title.toLowerCase().replace(/\s+/g, ' ');
+  }
+  next();
 });
 
-// Create text indexes for search
-videoSchema.index({ title: 'text', description: 'text', tags: 'text' });
+// Filter for videos that may appear in listings, search and recommendations
+videoSchema.statics.listedFilter = function() {
+  // Videos uploaded before processing existed have no status and count as ready
+  return {
+    visibility: 'public',
+    processingStatus: { $in: ['ready', null] },
+    takenDownAt: null
+  };
+};
+
+// Private and taken-down videos are only visible to their owner and staff
+videoSchema.statics.canView = function(video, user) {
+  if (video.visibility !== 'private' && !video.takenDownAt) return true;
+  if (!user) return false;
+
+  const ownerId = video.user._id || video.user;
+  if (ownerId.toString() === user._id.toString()) return true;
+
+  if (video.takenDownAt && !hasPermission(user, 'video.takedown')) return false;
+  return video.visibility !== 'private' || hasPermission(user, 'video.view.private');
+};
 
 const Video = mongoose.model('Video', videoSchema);
 
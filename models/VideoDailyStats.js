@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Audience retention is tracked in this many equal slices of a video
+const RETENTION_BUCKETS = 20;
+
+// Per-video metrics for one UTC day, incremented as activity happens (see
+// services/analytics.js). Likes, dislikes and comments are net changes.
+const videoDailyStatsSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  watchTimeSeconds: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  dislikes: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  },
+  // Number of viewers who reached each slice of the video
+  retention: {
+    type: [Number],
+    default: () => new Array(RETENTION_BUCKETS).fill(0)
+  }
+});
+
+videoDailyStatsSchema.index({ video: 1, date: 1 }, { unique: true });
+videoDailyStatsSchema.index({ channel: 1, date: 1 });
+
+videoDailyStatsSchema.statics.RETENTION_BUCKETS = RETENTION_BUCKETS;
+
+const VideoDailyStats = mongoose.model('VideoDailyStats', videoDailyStatsSchema);
+
+module.exports = VideoDailyStats;
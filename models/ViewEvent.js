@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const RETENTION = 180 * 24 * 60 * 60; // seconds
+
+// Raw playback heartbeat reported by a player, kept for watch-time reporting
+const viewEventSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Set for signed-in viewers
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // "u:<userId>" or "a:<fingerprint>" for anonymous viewers
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  // Seconds of playback credited for this heartbeat
+  seconds: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Playback position in seconds when the heartbeat was sent
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Whether this heartbeat made the view count
+  counted: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+viewEventSchema.index({ video: 1, createdAt: -1 });
+
+// Raw events are removed once they are old enough not to be reported on
+viewEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION });
+
+const ViewEvent = mongoose.model('ViewEvent', viewEventSchema);
+
+module.exports = ViewEvent;
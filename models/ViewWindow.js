@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Watch time of one viewer on one video within the current deduplication
+// window. A viewer adds at most one view per window.
+const viewWindowSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: null
+  },
+  // Retention slices this viewer has already been counted in
+  reachedBuckets: [{
+    type: Number
+  }],
+  // Set once the window's watch time has counted as a view
+  countedAt: {
+    type: Date,
+    default: null
+  },
+  // Windows are removed after they close
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+viewWindowSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+viewWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewWindow = mongoose.model('ViewWindow', viewWindowSchema);
+
+module.exports = ViewWindow;
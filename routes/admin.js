@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const { authenticate, requireSession, requirePermission } = require('../middleware/auth');
+const { revokeAllAccess } = require('../services/sessions');
+const { coversRole } = require('../services/permissions');
+const { escapeRegex } = require('../services/search');
+const { paginate } = require('../services/pagination');
+
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+const STORAGE_CACHE_TTL = 10 * 60 * 1000; // walking the uploads tree is slow
+const USER_FIELDS = 'username email role profilePicture emailVerified suspendedUntil suspensionReason bannedAt banReason warnings createdAt';
+
+// Total size in bytes of all files below a directory
+const directorySize = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fs.promises.stat(entryPath)).size;
+    }
+  }
+  return total;
+};
+
+// Size of the uploads directory, recomputed at most every STORAGE_CACHE_TTL.
+// Concurrent requests share the walk in progress.
+let storageCache = null;
+const uploadsSize = () => {
+  if (!storageCache || Date.now() - storageCache.computedAt > STORAGE_CACHE_TTL) {
+    const size = directorySize(UPLOADS_ROOT);
+    storageCache = { size, computedAt: Date.now() };
+    size.catch(() => { storageCache = null; });
+  }
+  return storageCache.size;
+};
+
+// Load the target user for the :id routes. Refuses to act on yourself or on
+// anyone whose role has permissions you don't have.
+const loadTargetUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot perform this action on your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!coversRole(req.user, user.role)) {
+      return res.status(403).json({ message: 'You cannot perform this action on a user who ranks above you' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin endpoints are only available to signed-in staff, never to API tokens
+router.use(authenticate, requireSession);
+
+// Search users by username or email, optionally filtered by status
+router.get('/users', requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { q, status, role } = req.query;
+
+    const filter = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (status === 'banned') {
+      filter.bannedAt = { $ne: null };
+    } else if (status === 'suspended') {
+      filter.suspendedUntil = { $gt: new Date() };
+    }
+
+    const page = await paginate(User, filter, req.query, {
+      sort: { createdAt: -1 },
+      select: USER_FIELDS,
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user's account details and activity counts
+router.get('/users/:id', requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id, USER_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [videoCount, commentCount] = await Promise.all([
+      Video.countDocuments({ user: id }),
+      Comment.countDocuments({ user: id })
+    ]);
+
+    res.json({ ...user, videoCount, commentCount });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suspend a user for a number of days
+router.post('/users/:id/suspend', requirePermission('user.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const days = parseInt(req.body.days, 10);
+    const { reason } = req.body;
+
+    if (!days || days < 1 || days > 365) {
+      return res.status(400).json({ message: 'days must be between 1 and 365' });
+    }
+
+    const user = req.targetUser;
+    user.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    user.suspensionReason = reason || null;
+    await user.save();
+
+    await revokeAllAccess(user._id, 'suspended');
+
+    res.json({ message: 'User suspended', suspendedUntil: user.suspendedUntil });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a suspension early
+router.delete('/users/:id/suspend', requirePermission('user.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    user.suspendedUntil = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    res.json({ message: 'Suspension lifted' });
+  } catch (error) {
+    console.error('Error lifting suspension:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ban a user permanently
+router.post('/users/:id/ban', requirePermission('user.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A ban reason is required' });
+    }
+
+    const user = req.targetUser;
+    user.bannedAt = new Date();
+    user.banReason = reason.trim();
+    await user.save();
+
+    await revokeAllAccess(user._id, 'banned');
+
+    res.json({ message: 'User banned' });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a ban
+router.delete('/users/:id/ban', requirePermission('user.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    user.bannedAt = null;
+    user.banReason = null;
+    await user.save();
+
+    res.json({ message: 'Ban lifted' });
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign a user out of every device and revoke their API tokens
+router.post('/users/:id/logout', requirePermission('user.manage'), loadTargetUser, async (req, res) => {
+  try {
+    await revokeAllAccess(req.targetUser._id, 'admin_logout');
+
+    res.json({ message: 'User logged out everywhere' });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Platform overview: totals, storage used and daily signups for the last `days` days
+router.get('/stats/overview', requirePermission('platform.stats'), async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - days + 1);
+
+    const [users, videos, comments, bannedUsers, suspendedUsers, signups, storageBytes] = await Promise.all([
+      User.estimatedDocumentCount(),
+      Video.estimatedDocumentCount(),
+      Comment.estimatedDocumentCount(),
+      User.countDocuments({ bannedAt: { $ne: null } }),
+      User.countDocuments({ suspendedUntil: { $gt: new Date() } }),
+      User.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]),
+      uploadsSize()
+    ]);
+
+    // Fill in days without signups so the series is continuous
+    const signupsByDay = Object.fromEntries(signups.map(day => [day._id, day.count]));
+    const signupSeries = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since.getTime() + i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      signupSeries.push({ date, count: signupsByDay[date] || 0 });
+    }
+
+    res.json({
+      users,
+      videos,
+      comments,
+      bannedUsers,
+      suspendedUsers,
+      storageBytes,
+      signups: signupSeries
+    });
+  } catch (error) {
+    console.error('Error fetching platform stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
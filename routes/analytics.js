@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const VideoDailyStats = require('../models/VideoDailyStats');
+const ChannelDailyStats = require('../models/ChannelDailyStats');
+const { authenticate, requireScope, ownerOrPermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { DAY, dayStart } = require('../services/analytics');
+
+const DEFAULT_RANGE_DAYS = 28;
+const MAX_RANGE_DAYS = 366;
+const TOP_VIDEOS = 10;
+
+const VIDEO_METRICS = ['views', 'watchTimeSeconds', 'likes', 'dislikes', 'comments'];
+const CHANNEL_METRICS = ['subscribersGained', 'subscribersLost'];
+
+// Parse ?days=N or ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC) into
+// { from, to } day boundaries, or { error }
+const parseRange = (query) => {
+  let from;
+  let to = dayStart();
+
+  if (query.from || query.to) {
+    from = new Date(query.from);
+    if (query.to) {
+      to = new Date(query.to);
+    }
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return { error: 'from and to must be valid dates' };
+    }
+    from = dayStart(from);
+    to = dayStart(to);
+  } else {
+    const days = parseInt(query.days) || DEFAULT_RANGE_DAYS;
+    from = new Date(to.getTime() - (days - 1) * DAY);
+  }
+
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if ((to - from) / DAY + 1 > MAX_RANGE_DAYS) {
+    return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+const averageViewDuration = (row) => (row.views > 0 ? Math.round(row.watchTimeSeconds / row.views) : 0);
+
+// One row per day of the range, with zeros for days without activity
+const buildSeries = (from, to, rows, metrics) => {
+  const byDate = {};
+  rows.forEach(row => { byDate[row.date.getTime()] = row; });
+
+  const series = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY) {
+    const row = byDate[time] || {};
+    const point = { date: new Date(time).toISOString().slice(0, 10) };
+    metrics.forEach(metric => { point[metric] = row[metric] || 0; });
+    series.push(point);
+  }
+  return series;
+};
+
+const sumSeries = (series, metrics) => {
+  const totals = {};
+  metrics.forEach(metric => {
+    totals[metric] = series.reduce((sum, point) => sum + point[metric], 0);
+  });
+  return totals;
+};
+
+// Share of viewers still watching at each point of the video, relative to
+// the number who started it
+const buildRetention = (rows) => {
+  const buckets = new Array(VideoDailyStats.RETENTION_BUCKETS).fill(0);
+  rows.forEach(row => {
+    (row.retention || []).forEach((viewers, i) => {
+      if (i < buckets.length) buckets[i] += viewers;
+    });
+  });
+
+  const started = buckets[0] || Math.max(...buckets);
+  return buckets.map((viewers, i) => ({
+    position: i / buckets.length,
+    viewers,
+    ratio: started > 0 ? Math.round((viewers / started) * 1000) / 1000 : 0
+  }));
+};
+
+router.use(authenticate, requireScope('profile'));
+
+// Metrics for one video over a date range, with its audience-retention curve
+router.get('/videos/:id', ownerOrPermission(Video, 'view analytics for', 'analytics.view.any'), async (req, res) => {
+  try {
+    const { video } = req;
+
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rows = await VideoDailyStats.find({ video: video._id, date: { $gte: from, $lte: to } })
+      .sort({ date: 1 })
+      .lean();
+
+    const series = buildSeries(from, to, rows, VIDEO_METRICS);
+    series.forEach(point => { point.averageViewDuration = averageViewDuration(point); });
+
+    const totals = sumSeries(series, VIDEO_METRICS);
+    totals.averageViewDuration = averageViewDuration(totals);
+
+    res.json({
+      video: {
+        _id: video._id,
+        title: video.title,
+        duration: video.duration,
+        views: video.views
+      },
+      range: { from, to },
+      totals,
+      series,
+      retention: buildRetention(rows)
+    });
+  } catch (error) {
+    console.error('Error fetching video analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Metrics for a whole channel over a date range, with its top videos
+router.get('/channels/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+
+    if (channelId !== req.user._id.toString() && !hasPermission(req.user, 'analytics.view.any')) {
+      return res.status(403).json({ message: 'Not authorized to view analytics for this channel' });
+    }
+
+    if (!mongoose.isValidObjectId(channelId)) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    const channel = await User.findById(channelId, 'username subscriberCount').lean();
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const match = { channel: channel._id, date: { $gte: from, $lte: to } };
+
+    const sumMetrics = {};
+    VIDEO_METRICS.forEach(metric => { sumMetrics[metric] = { $sum: `$${metric}` }; });
+
+    const [videoRows, channelRows, topVideoRows] = await Promise.all([
+      VideoDailyStats.aggregate([
+        { $match: match },
+        { $group: { _id: '$date', ...sumMetrics } },
+        { $project: { _id: 0, date: '$_id', ...Object.fromEntries(VIDEO_METRICS.map(m => [m, 1])) } }
+      ]),
+      ChannelDailyStats.find(match).lean(),
+      VideoDailyStats.aggregate([
+        { $match: match },
+        { $group: { _id: '$video', views: { $sum: '$views' }, watchTimeSeconds: { $sum: '$watchTimeSeconds' } } },
+        { $sort: { views: -1, watchTimeSeconds: -1 } },
+        { $limit: TOP_VIDEOS }
+      ])
+    ]);
+
+    const videoSeries = buildSeries(from, to, videoRows, VIDEO_METRICS);
+    const channelSeries = buildSeries(from, to, channelRows, CHANNEL_METRICS);
+
+    const series = videoSeries.map((point, i) => ({
+      ...point,
+      averageViewDuration: averageViewDuration(point),
+      ...channelSeries[i],
+      netSubscribers: channelSeries[i].subscribersGained - channelSeries[i].subscribersLost
+    }));
+
+    const totals = {
+      ...sumSeries(videoSeries, VIDEO_METRICS),
+      ...sumSeries(channelSeries, CHANNEL_METRICS)
+    };
+    totals.averageViewDuration = averageViewDuration(totals);
+    totals.netSubscribers = totals.subscribersGained - totals.subscribersLost;
+
+    const titles = await Video.find({ _id: { $in: topVideoRows.map(row => row._id) } }, 'title thumbnailUrl').lean();
+    const titleById = Object.fromEntries(titles.map(video => [video._id.toString(), video]));
+
+    const topVideos = topVideoRows
+      .filter(row => titleById[row._id.toString()])
+      .map(row => ({
+        ...titleById[row._id.toString()],
+        views: row.views,
+        watchTimeSeconds: row.watchTimeSeconds,
+        averageViewDuration: averageViewDuration(row)
+      }));
+
+    res.json({
+      channel,
+      range: { from, to },
+      totals,
+      series,
+      topVideos
+    });
+  } catch (error) {
+    console.error('Error fetching channel analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
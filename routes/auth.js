@@ -2,9 +2,22 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authenticate } = require('../middleware/auth');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { authenticate, requireScope, requireSession } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeAllAccess,
+  sessionFromTokens,
+  clearAuthCookies
+} = require('../services/sessions');
+const { issueAuthToken, consumeAuthToken } = require('../services/authTokens');
+const { createApiToken } = require('../services/apiTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
 
 // Register a new user
 router.post('/register', [
@@ -47,13 +60,17 @@ router.post('/register', [
     const user = new User({
       username,
       email,
-      password
+      password,
+      emailVerified: false
     });
 
     await user.save();
 
+    const token = await issueAuthToken(user._id, 'email_verification');
+    await sendVerificationEmail(user, token);
+
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       user: {
         _id: user._id,
         username: user.username,
@@ -92,19 +109,17 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
 
-    // Set token as cookie
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    if (!user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before logging in', emailVerified: false });
+    }
+
+    // Start a session and set access/refresh token cookies
+    await createSession(user, req, res);
 
     res.json({
       message: 'Login successful',
@@ -113,7 +128,8 @@ router.post('/login', [
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicture,
-        isAdmin: user.isAdmin
+        isAdmin: user.isAdmin,
+        role: user.role
       }
     });
   } catch (error) {
@@ -122,14 +138,319 @@ router.post('/login', [
   }
 });
 
-// Logout user
-router.post('/logout', (req, res) => {
-  res.clearCookie('jwt');
+// Verify an email address with the token from the verification email
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    await User.findByIdAndUpdate(authToken.user, { emailVerified: true });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// Send a new verification email. Always succeeds so it can't be used to probe accounts.
+router.post('/resend-verification', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && !user.emailVerified) {
+      const token = await issueAuthToken(user._id, 'email_verification');
+      await sendVerificationEmail(user, token);
+    }
+
+    res.json({ message: 'If that account needs verification, an email has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset email. Always succeeds so it can't be used to probe accounts.
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = await issueAuthToken(user._id, 'password_reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    // Receiving the email proves ownership of the address
+    user.password = req.body.password;
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out everywhere and revoke API tokens in case the old password was compromised
+    await revokeAllAccess(user._id, 'password_reset');
+    clearAuthCookies(res);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// Change password while signed in; other sessions are signed out
+router.put('/password', authenticate, requireSession, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_change', req.authSession._id);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange the refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'Refresh token required' });
+    }
+
+    const session = await rotateSession(refreshToken, req, res);
+    if (!session) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({ message: 'Token refreshed' });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Logout user (revokes the current session)
+router.post('/logout', async (req, res) => {
+  try {
+    // Identify the session from either cookie; an expired access token is fine here
+    const sessionId = await sessionFromTokens(req.cookies.refreshToken, req.cookies.jwt);
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
+  clearAuthCookies(res);
   res.json({ message: 'Logout successful' });
 });
 
+// List the current user's active sessions (signed-in devices)
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find(
+      { user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } },
+      'userAgent ip lastUsedAt createdAt expiresAt'
+    )
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.authSession._id.toString()
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all sessions; pass ?exceptCurrent=true to stay signed in on this device
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const keepCurrent = req.query.exceptCurrent === 'true';
+
+    await revokeAllSessions(req.user._id, 'logout_all', keepCurrent ? req.authSession._id : null);
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Sessions revoked' });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id);
+
+    if (session._id.toString() === req.authSession._id.toString()) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's personal access tokens
+router.get('/tokens', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a personal access token. The raw token is only returned here.
+router.post('/tokens', authenticate, requireSession, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .custom(scopes => scopes.every(scope => ApiToken.SCOPES.includes(scope)))
+    .withMessage(`Scopes must be any of: ${ApiToken.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array(), message: errors.array()[0].msg });
+  }
+
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { token, apiToken } = await createApiToken(req.user._id, name, [...new Set(scopes)], expiresAt);
+
+    res.status(201).json({ ...apiToken.toJSON(), token });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/tokens/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, requireScope('profile'), async (req, res) => {
   try {
     // User is already attached to req by authenticate middleware
     res.json(req.user);
@@ -1,61 +1,212 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
-const { authenticate } = require('../middleware/auth');
+const Video = require('../models/Video');
+const { authenticate, optionalAuth, requireScope, ownerOrPermission } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { broadcast } = require('../services/liveComments');
+const { trackVideo } = require('../services/analytics');
+const { paginate } = require('../services/pagination');
+const { addReaction, removeReaction } = require('../services/reactions');
+const { hasPermission } = require('../services/permissions');
+const { loadCommentSettings, holdReason, announceComment, withdrawComment } = require('../services/commentModeration');
 
-// Get replies to a comment
-router.get('/:id/replies', async (req, res) => {
+// Load the comment and its video, and only let the video's owner through.
+// Sets req.comment and req.video.
+const videoOwnerOnly = (action) => async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const comment = await Comment.findById(req.params.id);
+    const video = comment && await Video.findById(comment.video, 'user visibility takenDownAt');
+    
+    if (!comment || !video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!video.user.equals(req.user._id)) {
+      return res.status(403).json({ message: `Only the video's owner can ${action} comments` });
+    }
     
-    const comment = await Comment.findById(id);
+    req.comment = comment;
+    req.video = video;
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Authors, the owner of the video and anyone with comment.delete.any can
+// delete a comment. Sets req.comment.
+const authorOrVideoOwner = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    const replies = await Comment.find({ parentComment: id })
-      .sort({ createdAt: 1 })
-      .populate('user', 'username profilePicture')
-      .lean();
+    if (!comment.user.equals(req.user._id) && !hasPermission(req.user, 'comment.delete.any')) {
+      const video = await Video.findById(comment.video, 'user').lean();
+      
+      if (!video || !video.user.equals(req.user._id)) {
+        return Comment.canView(comment, req.user)
+          ? res.status(403).json({ message: 'Not authorized to delete this comment' })
+          : res.status(404).json({ message: 'Comment not found' });
+      }
+    }
+    
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const COMMENT_POPULATE = [
+  { path: 'user', select: 'username profilePicture' },
+  { path: 'replyTo', select: 'username' }
+];
+
+// Review queue: held comments on the current user's videos, newest first.
+// ?videoId limits it to one video.
+router.get('/held', authenticate, requireScope('comments:write'), async (req, res) => {
+  try {
+    const { videoId } = req.query;
+    
+    let videoIds;
+    if (videoId) {
+      const video = mongoose.isValidObjectId(videoId) ? await Video.findById(videoId, 'user').lean() : null;
+      if (!video || !video.user.equals(req.user._id)) {
+        return res.status(404).json({ message: 'Video not found' });
+      }
+      videoIds = [video._id];
+    } else {
+      videoIds = await Video.find({ user: req.user._id }).distinct('_id');
+    }
+    
+    const page = await paginate(Comment, { video: { $in: videoIds }, status: 'held' }, req.query, {
+      sort: { createdAt: -1 },
+      select: '-editHistory',
+      populate: [...COMMENT_POPULATE, { path: 'video', select: 'title thumbnailUrl' }],
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching held comments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a held comment so everyone can see it (video owner only)
+router.post('/:id/approve', authenticate, requireScope('comments:write'), videoOwnerOnly('review'), async (req, res) => {
+  try {
+    const { comment } = req;
+    
+    if (comment.status !== 'held') {
+      return res.status(400).json({ message: 'Comment is not held for review' });
+    }
+    
+    comment.status = 'published';
+    comment.heldReason = null;
+    await comment.save();
+    
+    await comment.populate(COMMENT_POPULATE);
+    await announceComment(comment);
     
-    res.json(replies);
+    res.json(comment);
+  } catch (error) {
+    console.error('Error approving comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject a held comment, deleting it (video owner only)
+router.post('/:id/reject', authenticate, requireScope('comments:write'), videoOwnerOnly('review'), async (req, res) => {
+  try {
+    const { comment } = req;
+    
+    if (comment.status !== 'held') {
+      return res.status(400).json({ message: 'Comment is not held for review' });
+    }
+    
+    const removed = await Comment.removeWithReplies(comment);
+    if (removed) {
+      trackVideo(comment.video, { comments: -removed });
+    }
+    
+    res.json({ message: 'Comment rejected' });
+  } catch (error) {
+    console.error('Error rejecting comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get replies to a comment (paginated, oldest first)
+router.get('/:id/replies', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const comment = await Comment.findById(id, 'user status video').lean();
+    if (!comment || !Comment.canView(comment, req.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const video = await Video.findById(comment.video, 'user visibility takenDownAt').lean();
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const page = await paginate(Comment, { parentComment: id, ...Comment.visibleFilter(req.user) }, req.query, {
+      sort: { createdAt: 1 },
+      select: '-editHistory',
+      populate: COMMENT_POPULATE,
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    res.json(page);
   } catch (error) {
     console.error('Error fetching replies:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Fields needed to notify, broadcast and report reaction counts
+const REACTION_FIELDS = 'user video status likeCount dislikeCount';
+
 // Like a comment
-router.post('/:id/like', authenticate, async (req, res) => {
+router.post('/:id/like', authenticate, requireScope('comments:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
     
-    const comment = await Comment.findById(id);
+    const comment = await Comment.findById(id, REACTION_FIELDS).lean();
     
-    if (!comment) {
+    if (!comment || !Comment.canView(comment, req.user)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
+    const { previous, likes, dislikes } = await addReaction(Comment, 'comment', comment, userId, 'like');
+    
     // Check if already liked
-    if (comment.likes.includes(userId)) {
+    if (previous === 'like') {
       return res.status(400).json({ message: 'Comment already liked' });
     }
     
-    // Remove from dislikes if present
-    if (comment.dislikes.includes(userId)) {
-      comment.dislikes = comment.dislikes.filter(id => id.toString() !== userId.toString());
-    }
+    notify({ recipient: comment.user, actor: userId, type: 'comment_like', video: comment.video, comment: comment._id });
     
-    // Add to likes
-    comment.likes.push(userId);
-    await comment.save();
+    const counts = { likes, dislikes };
+    broadcast(comment.video, 'comment.likes', { _id: comment._id, ...counts });
     
-    res.json({ 
-      likes: comment.likes.length, 
-      dislikes: comment.dislikes.length 
-    });
+    res.json(counts);
   } catch (error) {
     console.error('Error liking comment:', error);
     res.status(500).json({ message: 'Server error' });
@@ -63,27 +214,24 @@ router.post('/:id/like', authenticate, async (req, res) => {
 });
 
 // Unlike a comment
-router.delete('/:id/unlike', authenticate, async (req, res) => {
+router.delete('/:id/unlike', authenticate, requireScope('comments:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const comment = await Comment.findById(id);
+    const comment = await Comment.findById(id, REACTION_FIELDS).lean();
     
-    if (!comment) {
+    if (!comment || !Comment.canView(comment, req.user)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Remove from likes if present
-    if (comment.likes.includes(userId)) {
-      comment.likes = comment.likes.filter(id => id.toString() !== userId.toString());
-      await comment.save();
+    const { removed, likes, dislikes } = await removeReaction(Comment, 'comment', comment, req.user._id, 'like');
+    
+    const counts = { likes, dislikes };
+    if (removed) {
+      broadcast(comment.video, 'comment.likes', { _id: comment._id, ...counts });
     }
     
-    res.json({ 
-      likes: comment.likes.length, 
-      dislikes: comment.dislikes.length 
-    });
+    res.json(counts);
   } catch (error) {
     console.error('Error unliking comment:', error);
     res.status(500).json({ message: 'Server error' });
@@ -91,35 +239,27 @@ router.delete('/:id/unlike', authenticate, async (req, res) => {
 });
 
 // Dislike a comment
-router.post('/:id/dislike', authenticate, async (req, res) => {
+router.post('/:id/dislike', authenticate, requireScope('comments:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const comment = await Comment.findById(id);
+    const comment = await Comment.findById(id, REACTION_FIELDS).lean();
     
-    if (!comment) {
+    if (!comment || !Comment.canView(comment, req.user)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
+    const { previous, likes, dislikes } = await addReaction(Comment, 'comment', comment, req.user._id, 'dislike');
+    
     // Check if already disliked
-    if (comment.dislikes.includes(userId)) {
+    if (previous === 'dislike') {
       return res.status(400).json({ message: 'Comment already disliked' });
     }
     
-    // Remove from likes if present
-    if (comment.likes.includes(userId)) {
-      comment.likes = comment.likes.filter(id => id.toString() !== userId.toString());
-    }
-    
-    // Add to dislikes
-    comment.dislikes.push(userId);
-    await comment.save();
+    const counts = { likes, dislikes };
+    broadcast(comment.video, 'comment.likes', { _id: comment._id, ...counts });
     
-    res.json({ 
-      likes: comment.likes.length, 
-      dislikes: comment.dislikes.length 
-    });
+    res.json(counts);
   } catch (error) {
     console.error('Error disliking comment:', error);
     res.status(500).json({ message: 'Server error' });
@@ -127,92 +267,203 @@ router.post('/:id/dislike', authenticate, async (req, res) => {
 });
 
 // Undislike a comment
-router.delete('/:id/undislike', authenticate, async (req, res) => {
+router.delete('/:id/undislike', authenticate, requireScope('comments:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const comment = await Comment.findById(id);
+    const comment = await Comment.findById(id, REACTION_FIELDS).lean();
     
-    if (!comment) {
+    if (!comment || !Comment.canView(comment, req.user)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Remove from dislikes if present
-    if (comment.dislikes.includes(userId)) {
-      comment.dislikes = comment.dislikes.filter(id => id.toString() !== userId.toString());
-      await comment.save();
+    const { removed, likes, dislikes } = await removeReaction(Comment, 'comment', comment, req.user._id, 'dislike');
+    
+    const counts = { likes, dislikes };
+    if (removed) {
+      broadcast(comment.video, 'comment.likes', { _id: comment._id, ...counts });
     }
     
-    res.json({ 
-      likes: comment.likes.length, 
-      dislikes: comment.dislikes.length 
-    });
+    res.json(counts);
   } catch (error) {
     console.error('Error undisliking comment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update a comment
-router.put('/:id', authenticate, async (req, res) => {
+// Earlier versions of a comment, oldest first
+router.get('/:id/history', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { content } = req.body;
     
-    if (!content) {
-      return res.status(400).json({ message: 'Comment content is required' });
+    const comment = await Comment.findById(id, 'user status content editedAt editHistory video').lean();
+    if (!comment || !Comment.canView(comment, req.user)) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
     
-    const comment = await Comment.findById(id);
-    
-    if (!comment) {
+    const video = await Video.findById(comment.video, 'user visibility takenDownAt').lean();
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Check if user is the comment author
-    if (comment.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ message: 'Not authorized to update this comment' });
+    res.json({
+      content: comment.content,
+      editedAt: comment.editedAt,
+      history: comment.editHistory
+    });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Heart a comment (video owner only)
+router.post('/:id/heart', authenticate, requireScope('comments:write'), videoOwnerOnly('heart'), async (req, res) => {
+  try {
+    const { comment } = req;
+    
+    if (comment.status === 'held') {
+      return res.status(400).json({ message: 'Approve the comment before hearting it' });
     }
     
-    comment.content = content;
-    await comment.save();
+    if (!comment.heartedAt) {
+      comment.heartedAt = new Date();
+      await comment.save();
+      
+      broadcast(comment.video, 'comment.hearted', { _id: comment._id, heartedAt: comment.heartedAt });
+      notify({ recipient: comment.user, actor: req.user._id, type: 'comment_heart', video: comment.video, comment: comment._id });
+    }
     
-    res.json(comment);
+    res.json({ heartedAt: comment.heartedAt });
   } catch (error) {
-    console.error('Error updating comment:', error);
+    console.error('Error hearting comment:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete a comment
-router.delete('/:id', authenticate, async (req, res) => {
+// Remove the heart from a comment (video owner only)
+router.delete('/:id/heart', authenticate, requireScope('comments:write'), videoOwnerOnly('heart'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { comment } = req;
     
-    const comment = await Comment.findById(id);
+    if (comment.heartedAt) {
+      comment.heartedAt = null;
+      await comment.save();
+      
+      broadcast(comment.video, 'comment.hearted', { _id: comment._id, heartedAt: null });
+    }
     
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
+    res.json({ heartedAt: null });
+  } catch (error) {
+    console.error('Error removing comment heart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin a top-level comment above the others, replacing any earlier pin
+// (video owner only)
+router.post('/:id/pin', authenticate, requireScope('comments:write'), videoOwnerOnly('pin'), async (req, res) => {
+  try {
+    const { comment, video } = req;
+    
+    if (comment.parentComment) {
+      return res.status(400).json({ message: 'Only top-level comments can be pinned' });
     }
     
-    // Check if user is the comment author or admin
-    if (comment.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    if (comment.status === 'held') {
+      return res.status(400).json({ message: 'Approve the comment before pinning it' });
     }
     
-    // If this is a parent comment, delete all replies
-    if (!comment.parentComment) {
-      await Comment.deleteMany({ parentComment: id });
-    } else {
-      // If it's a reply, remove it from parent's replies array
-      await Comment.findByIdAndUpdate(
-        comment.parentComment,
-        { $pull: { replies: id } }
-      );
+    await Video.updateOne({ _id: video._id }, { pinnedComment: comment._id });
+    
+    broadcast(video._id, 'comment.pinned', { _id: comment._id });
+    
+    res.json({ pinnedComment: comment._id });
+  } catch (error) {
+    console.error('Error pinning comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin a comment (video owner only)
+router.delete('/:id/pin', authenticate, requireScope('comments:write'), videoOwnerOnly('unpin'), async (req, res) => {
+  try {
+    const { comment, video } = req;
+    
+    const result = await Video.updateOne({ _id: video._id, pinnedComment: comment._id }, { pinnedComment: null });
+    if (result.modifiedCount) {
+      broadcast(video._id, 'comment.pinned', { _id: null });
     }
     
-    await Comment.findByIdAndDelete(id);
+    res.json({ pinnedComment: null });
+  } catch (error) {
+    console.error('Error unpinning comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a comment
+router.put('/:id', authenticate, requireScope('comments:write'), ownerOrPermission(Comment, 'update', 'comment.update.any'), async (req, res) => {
+  try {
+    const { comment } = req;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    
+    if (!content) {
+      return res.status(400).json({ message: 'Comment content is required' });
+    }
+    
+    if (content.length > 1000) {
+      return res.status(400).json({ message: 'Comments must be at most 1000 characters' });
+    }
+    
+    if (content !== comment.content) {
+      comment.edit(content);
+      
+      // Edits go through the same checks as new comments, so a published
+      // comment that now breaks the channel's rules is held again
+      const video = await Video.findById(comment.video, 'user').lean();
+      const heldReason = video && !video.user.equals(comment.user)
+        ? holdReason(content, await loadCommentSettings(video.user))
+        : null;
+      const withdrawn = !!heldReason && comment.status !== 'held';
+      
+      if (heldReason) {
+        comment.status = 'held';
+        comment.heldReason = heldReason;
+      }
+      
+      await comment.save();
+      
+      if (withdrawn) {
+        await withdrawComment(comment);
+      } else if (comment.status !== 'held') {
+        broadcast(comment.video, 'comment.updated', {
+          _id: comment._id,
+          content: comment.content,
+          editedAt: comment.editedAt
+        });
+      }
+    }
+    
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a comment (its author, the video's owner or a moderator)
+router.delete('/:id', authenticate, requireScope('comments:write'), authorOrVideoOwner, async (req, res) => {
+  try {
+    const { comment } = req;
+    
+    const removed = await Comment.removeWithReplies(comment);
+    
+    // Held comments were never shown or counted
+    if (removed) {
+      broadcast(comment.video, 'comment.deleted', { _id: comment._id, parentComment: comment.parentComment });
+      trackVideo(comment.video, { comments: -removed });
+    }
     
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
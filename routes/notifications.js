@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationMute = require('../models/NotificationMute');
+const User = require('../models/User');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { listen } = require('../services/notifications');
+const { openEventStream } = require('../services/eventStream');
+const { paginate } = require('../services/pagination');
+
+router.use(authenticate, requireScope('profile'));
+
+// List notifications, newest first. ?unread=true returns only unread ones.
+router.get('/', async (req, res) => {
+  try {
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const page = await paginate(Notification, filter, req.query, {
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'actor', select: 'username profilePicture' },
+        { path: 'video', select: 'title thumbnailUrl' },
+        { path: 'comment', select: 'content' }
+      ]
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Number of unread notifications
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Live stream of new notifications (Server-Sent Events). Sends an "unread"
+// event with the current count on connect, then a "notification" event for
+// each new notification.
+router.get('/stream', async (req, res) => {
+  const send = openEventStream(req, res);
+
+  // Listen before counting so nothing created in between is missed
+  const stopListening = listen(req.user._id, notification => send('notification', notification));
+  req.on('close', stopListening);
+
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    send('unread', { count });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Channels with muted notification types, most recently changed first
+router.get('/mutes', async (req, res) => {
+  try {
+    const page = await paginate(NotificationMute, { user: req.user._id }, req.query, {
+      sort: { updatedAt: -1 },
+      populate: { path: 'channel', select: 'username profilePicture' }
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching notification mutes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the notification types muted for a channel; an empty list unmutes it
+router.put('/mutes/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { types } = req.body;
+
+    if (!Array.isArray(types) || types.some(type => !Notification.TYPES.includes(type))) {
+      return res.status(400).json({ message: `types must be a list of: ${Notification.TYPES.join(', ')}` });
+    }
+
+    if (!mongoose.isValidObjectId(channelId) || !(await User.exists({ _id: channelId }))) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    if (!types.length) {
+      await NotificationMute.deleteOne({ user: req.user._id, channel: channelId });
+      return res.json({ channel: channelId, mutedTypes: [] });
+    }
+
+    const mute = await NotificationMute.findOneAndUpdate(
+      { user: req.user._id, channel: channelId },
+      { mutedTypes: [...new Set(types)] },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(mute);
+  } catch (error) {
+    console.error('Error updating notification mutes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findOne({ _id: id, recipient: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const { authenticate, optionalAuth, requireScope } = require('../middleware/auth');
+const { withTiebreaker, keysetFilter, readPageParams, buildPage, encodeCursor } = require('../services/pagination');
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const MAX_PLAYLIST_SIZE = 5000;
+
+const isOwner = (playlist, user) => {
+  const ownerId = playlist.user._id || playlist.user;
+  return !!user && ownerId.toString() === user._id.toString();
+};
+
+// Private playlists are only visible to their owner
+const canView = (playlist, user) => {
+  return playlist.visibility !== 'private' || isOwner(playlist, user);
+};
+
+// Sort for playlist listings: Watch Later first, then most recently updated
+const LIST_SORT = withTiebreaker({ isWatchLater: -1, updatedAt: -1 });
+
+// Page through playlists matching a filter without loading their video
+// arrays. Resolves to a page envelope or { error }.
+const listPlaylists = async (filter, query) => {
+  const { limit, after, error } = readPageParams(query, LIST_SORT);
+  if (error) {
+    return { error };
+  }
+
+  const playlists = await Playlist.aggregate([
+    { $match: after ? { $and: [filter, keysetFilter(LIST_SORT, after)] } : filter },
+    { $sort: LIST_SORT },
+    { $limit: limit + 1 },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        user: 1,
+        visibility: 1,
+        isWatchLater: 1,
+        createdAt: 1,
+        updatedAt: 1,
+        videoCount: { $size: '$videos' },
+        firstVideo: { $arrayElemAt: ['$videos.video', 0] }
+      }
+    }
+  ]);
+
+  return buildPage(playlists, LIST_SORT, limit);
+};
+
+// Get the current user's playlists (paginated)
+router.get('/', authenticate, requireScope('videos:read'), async (req, res) => {
+  try {
+    // Make sure Watch Later exists before listing
+    await Playlist.getWatchLater(req.user._id);
+
+    const page = await listPlaylists({ user: req.user._id }, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching playlists:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's Watch Later playlist
+router.get('/watch-later', authenticate, requireScope('videos:read'), async (req, res) => {
+  try {
+    const playlist = await Playlist.getWatchLater(req.user._id);
+
+    res.json(playlist);
+  } catch (error) {
+    console.error('Error fetching Watch Later:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a channel's public playlists (paginated)
+router.get('/user/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const page = await listPlaylists({
+      user: new mongoose.Types.ObjectId(userId),
+      visibility: 'public'
+    }, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching user playlists:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a playlist
+router.post('/', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { title, description, visibility } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: 'Playlist title is required' });
+    }
+
+    if (visibility && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    const playlist = new Playlist({
+      title,
+      description,
+      visibility: visibility || 'private',
+      user: req.user._id
+    });
+
+    await playlist.save();
+
+    res.status(201).json(playlist);
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a playlist's details
+router.get('/:id', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id)
+      .populate('user', 'username profilePicture');
+
+    if (!playlist || !canView(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const playlistObj = playlist.toObject();
+    delete playlistObj.videos;
+
+    res.json(playlistObj);
+  } catch (error) {
+    console.error('Error fetching playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the videos in a playlist (paginated, in playlist order)
+router.get('/:id/videos', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Playlist order is the array order, so the cursor is a position in it
+    const { limit, after, error } = readPageParams(req.query, { position: 1 }, { defaultLimit: 50 });
+    const start = after ? after[0] : 0;
+    if (error || !Number.isInteger(start) || start < 0) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const playlist = await Playlist.findById(id, { videos: { $slice: [start, limit + 1] } })
+      .populate({
+        path: 'videos.video',
+        populate: { path: 'user', select: 'username profilePicture' }
+      })
+      .lean();
+
+    if (!playlist || !canView(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const hasMore = playlist.videos.length > limit;
+
+    // Skip videos that have since been deleted or made private
+    const items = playlist.videos
+      .slice(0, limit)
+      .filter(item => item.video && Video.canView(item.video, req.user))
+      .map(item => ({ ...item.video, addedAt: item.addedAt }));
+
+    res.json({
+      items,
+      nextCursor: hasMore ? encodeCursor([start + limit]) : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching playlist videos:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update (rename) a playlist
+router.put('/:id', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, visibility } = req.body;
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !isOwner(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (playlist.isWatchLater) {
+      return res.status(400).json({ message: 'Watch Later cannot be modified' });
+    }
+
+    if (visibility && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: 'Invalid visibility' });
+    }
+
+    playlist.title = title || playlist.title;
+    playlist.visibility = visibility || playlist.visibility;
+
+    if (description !== undefined) {
+      playlist.description = description;
+    }
+
+    await playlist.save();
+
+    res.json(playlist);
+  } catch (error) {
+    console.error('Error updating playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a playlist
+router.delete('/:id', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !isOwner(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (playlist.isWatchLater) {
+      return res.status(400).json({ message: 'Watch Later cannot be deleted' });
+    }
+
+    await Playlist.findByIdAndDelete(id);
+
+    res.json({ message: 'Playlist deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a video to a playlist
+router.post('/:id/videos', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { videoId } = req.body;
+
+    if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ message: 'A valid videoId is required' });
+    }
+
+    const playlist = await Playlist.findById(id, 'user');
+
+    if (!playlist || !isOwner(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const video = await Video.findById(videoId, 'user visibility takenDownAt').lean();
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+
+    // Only push if the video isn't already in the playlist and there is room
+    const updated = await Playlist.findOneAndUpdate(
+      {
+        _id: id,
+        'videos.video': { $ne: videoId },
+        [`videos.${MAX_PLAYLIST_SIZE - 1}`]: { $exists: false }
+      },
+      { $push: { videos: { video: videoId, addedAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Playlist.findById(id, 'videos');
+      if (current.videos.some(item => item.video.toString() === videoId)) {
+        return res.status(400).json({ message: 'Video already in playlist' });
+      }
+      return res.status(400).json({ message: `Playlists can hold at most ${MAX_PLAYLIST_SIZE} videos` });
+    }
+
+    res.json({ message: 'Video added to playlist', videoCount: updated.videos.length });
+  } catch (error) {
+    console.error('Error adding video to playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a video from a playlist
+router.delete('/:id/videos/:videoId', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { id, videoId } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    if (!mongoose.isValidObjectId(videoId)) {
+      return res.status(400).json({ message: 'Invalid video id' });
+    }
+
+    const playlist = await Playlist.findById(id, 'user');
+
+    if (!playlist || !isOwner(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      id,
+      { $pull: { videos: { video: videoId } } },
+      { new: true }
+    );
+
+    res.json({ message: 'Video removed from playlist', videoCount: updated.videos.length });
+  } catch (error) {
+    console.error('Error removing video from playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a video to a new position in a playlist
+router.put('/:id/reorder', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { videoId } = req.body;
+    const position = parseInt(req.body.position);
+
+    if (!videoId || Number.isNaN(position) || position < 0) {
+      return res.status(400).json({ message: 'videoId and a non-negative position are required' });
+    }
+
+    const playlist = await Playlist.findById(id);
+
+    if (!playlist || !isOwner(playlist, req.user)) {
+      return res.status(404).json({ message: 'Playlist not found' });
+    }
+
+    const currentIndex = playlist.videos.findIndex(item => item.video.toString() === videoId);
+    if (currentIndex === -1) {
+      return res.status(404).json({ message: 'Video not in playlist' });
+    }
+
+    const items = playlist.videos.map(item => item.toObject());
+    const [item] = items.splice(currentIndex, 1);
+    items.splice(Math.min(position, items.length), 0, item);
+
+    playlist.videos = items;
+    await playlist.save();
+
+    res.json({ message: 'Playlist reordered', videos: playlist.videos.map(v => v.video) });
+  } catch (error) {
+    console.error('Error reordering playlist:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Reaction = require('../models/Reaction');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { reactionsFor } = require('../services/reactions');
+
+const MAX_IDS = 100;
+
+router.use(authenticate, requireScope('videos:read'));
+
+// The current user's reactions to a batch of videos or comments, e.g.
+// ?targetType=comment&ids=a,b,c. Responds with { [id]: 'like' | 'dislike' };
+// targets without a reaction are left out.
+router.get('/', async (req, res) => {
+  try {
+    const { targetType } = req.query;
+
+    if (!Reaction.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ message: `targetType must be one of: ${Reaction.TARGET_TYPES.join(', ')}` });
+    }
+
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ids.length > MAX_IDS) {
+      return res.status(400).json({ message: `At most ${MAX_IDS} ids can be requested at once` });
+    }
+
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    res.json(await reactionsFor(req.user._id, targetType, ids));
+  } catch (error) {
+    console.error('Error fetching reactions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { authenticate, requireSession, requirePermission } = require('../middleware/auth');
+const { hasPermission, coversRole } = require('../services/permissions');
+const { revokeAllAccess } = require('../services/sessions');
+const { sendReportOutcomeEmail, sendWarningEmail } = require('../services/mailer');
+const { broadcast } = require('../services/liveComments');
+const { trackVideo } = require('../services/analytics');
+const { withTiebreaker, keysetFilter, readPageParams, buildPage, paginate } = require('../services/pagination');
+
+// Moderator actions and the resolution each one records
+const ACTIONS = {
+  dismiss: 'dismissed',
+  remove: 'removed',
+  warn: 'warned'
+};
+
+const TARGET_NAMES = { video: 'Video', comment: 'Comment', user: 'User' };
+
+// Load a reportable target and work out who is responsible for it.
+// Returns null if it doesn't exist or the user can't see it.
+const loadTarget = async (targetType, id, user) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  if (targetType === 'video') {
+    const video = await Video.findById(id, 'user visibility takenDownAt');
+    return video && Video.canView(video, user) ? { owner: video.user } : null;
+  }
+
+  if (targetType === 'comment') {
+    const comment = await Comment.findById(id, 'user');
+    return comment ? { owner: comment.user } : null;
+  }
+
+  const account = await User.findById(id, '_id');
+  return account ? { owner: account._id } : null;
+};
+
+// Short descriptions of queue targets, keyed by "<targetType>:<id>"
+const loadTargetSummaries = async (groups) => {
+  const idsOf = (type) => groups.filter(g => g.targetType === type).map(g => g.target);
+
+  const [videos, comments, users] = await Promise.all([
+    Video.find({ _id: { $in: idsOf('video') } }, 'title thumbnailUrl user visibility takenDownAt').lean(),
+    Comment.find({ _id: { $in: idsOf('comment') } }, 'content user video').lean(),
+    User.find({ _id: { $in: idsOf('user') } }, 'username profilePicture bannedAt suspendedUntil').lean()
+  ]);
+
+  const summaries = {};
+  videos.forEach(doc => { summaries[`video:${doc._id}`] = doc; });
+  comments.forEach(doc => { summaries[`comment:${doc._id}`] = doc; });
+  users.forEach(doc => { summaries[`user:${doc._id}`] = doc; });
+  return summaries;
+};
+
+// Take the reported content down. Returns an error response body or null.
+const removeTarget = async (targetType, targetId, owner, moderator, reason) => {
+  if (targetType === 'video') {
+    await Video.findByIdAndUpdate(targetId, {
+      takenDownAt: new Date(),
+      takenDownBy: moderator._id,
+      takedownReason: reason
+    });
+    return null;
+  }
+
+  if (targetType === 'comment') {
+    const comment = await Comment.findById(targetId);
+    if (comment) {
+      const removed = await Comment.removeWithReplies(comment);
+      broadcast(comment.video, 'comment.deleted', { _id: comment._id, parentComment: comment.parentComment });
+      trackVideo(comment.video, { comments: -removed });
+    }
+    return null;
+  }
+
+  // Removing an account means banning it, which needs the admin permission
+  if (!hasPermission(moderator, 'user.manage')) {
+    return { status: 403, message: 'Banning an account requires the user.manage permission' };
+  }
+
+  await User.findByIdAndUpdate(owner, { bannedAt: new Date(), banReason: reason });
+  await revokeAllAccess(owner, 'banned');
+  return null;
+};
+
+// Email every reporter the outcome. Delivery failures are logged, not returned.
+const notifyReporters = async (reports, targetType, resolution) => {
+  const reporters = await User.find({ _id: { $in: reports.map(r => r.reporter) } }, 'username email');
+
+  await Promise.all(reporters.map(reporter =>
+    sendReportOutcomeEmail(reporter, { targetType, resolution })
+      .catch(error => console.error('Error sending report outcome:', error))
+  ));
+};
+
+// Reporting and moderation are only available to signed-in users, never to API tokens
+router.use(authenticate, requireSession);
+
+// Report a video, comment or user. Reporting the same target again while the
+// first report is still open updates it instead of adding another.
+router.post('/', async (req, res) => {
+  try {
+    const { targetType, targetId, reason } = req.body;
+    const details = (req.body.details || '').trim();
+
+    if (!Report.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ message: `targetType must be one of: ${Report.TARGET_TYPES.join(', ')}` });
+    }
+
+    if (!Report.REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${Report.REASONS.join(', ')}` });
+    }
+
+    if (reason === 'other' && !details) {
+      return res.status(400).json({ message: 'Please describe the problem' });
+    }
+
+    if (details.length > 1000) {
+      return res.status(400).json({ message: 'Details must be at most 1000 characters' });
+    }
+
+    const target = await loadTarget(targetType, targetId, req.user);
+    if (!target) {
+      return res.status(404).json({ message: `${TARGET_NAMES[targetType]} not found` });
+    }
+
+    if (target.owner.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot report your own content' });
+    }
+
+    const upsertReport = () => Report.findOneAndUpdate(
+      { reporter: req.user._id, targetType, target: targetId, status: 'open' },
+      { reason, details, $setOnInsert: { targetOwner: target.owner } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+
+    // A parallel request may insert the same open report first; the unique
+    // index rejects ours and the retry updates theirs
+    let result;
+    try {
+      result = await upsertReport();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      result = await upsertReport();
+    }
+
+    const created = !result.lastErrorObject.updatedExisting;
+    res.status(created ? 201 : 200).json(result.value);
+  } catch (error) {
+    console.error('Error creating report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The current user's reports and their outcomes
+router.get('/mine', async (req, res) => {
+  try {
+    const page = await paginate(Report, { reporter: req.user._id }, req.query, {
+      sort: { createdAt: -1 },
+      select: '-targetOwner -resolvedBy'
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Moderation queue: open reports grouped by target, most reported first
+router.get('/queue', requirePermission('report.review'), async (req, res) => {
+  try {
+    const { targetType, reason } = req.query;
+
+    // Groups are keyed by "<targetType>:<target>" so the key can break ties
+    const sort = withTiebreaker({ reportCount: -1, lastReportedAt: -1 });
+    const { limit, after, error } = readPageParams(req.query, sort);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const match = { status: 'open' };
+    if (targetType) match.targetType = targetType;
+    if (reason) match.reason = reason;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $concat: ['$targetType', ':', { $toString: '$target' }] },
+          targetType: { $first: '$targetType' },
+          target: { $first: '$target' },
+          targetOwner: { $first: '$targetOwner' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $facet: {
+          groups: [
+            ...(after ? [{ $match: keysetFilter(sort, after) }] : []),
+            { $sort: sort },
+            { $limit: limit + 1 }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const page = buildPage(result.groups, sort, limit);
+    const summaries = await loadTargetSummaries(page.items);
+
+    page.items = page.items.map(group => ({
+      targetType: group.targetType,
+      targetId: group.target,
+      target: summaries[group._id] || null,
+      targetOwner: group.targetOwner,
+      reportCount: group.reportCount,
+      reasons: group.reasons,
+      firstReportedAt: group.firstReportedAt,
+      lastReportedAt: group.lastReportedAt
+    }));
+
+    page.total = result.total.length ? result.total[0].count : 0;
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open reports against one target, with the reporters' details
+router.get('/targets/:targetType/:targetId', requirePermission('report.review'), async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    if (!Report.TARGET_TYPES.includes(targetType) || !mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ message: 'Invalid target' });
+    }
+
+    const page = await paginate(Report, { targetType, target: targetId, status: 'open' }, req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'reporter', select: 'username profilePicture' },
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve every open report against a target by dismissing them, removing the
+// content or warning the person responsible. Reporters are emailed the outcome.
+router.post('/targets/:targetType/:targetId/resolve', requirePermission('report.review'), async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action } = req.body;
+    const note = (req.body.note || '').trim();
+    const resolution = ACTIONS[action];
+
+    if (!Report.TARGET_TYPES.includes(targetType) || !mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ message: 'Invalid target' });
+    }
+
+    if (!resolution) {
+      return res.status(400).json({ message: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` });
+    }
+
+    const reports = await Report.find({ targetType, target: targetId, status: 'open' });
+    if (!reports.length) {
+      return res.status(404).json({ message: 'No open reports for this target' });
+    }
+
+    const owner = reports[0].targetOwner;
+    if (owner.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot resolve reports about your own content' });
+    }
+
+    const reasons = [...new Set(reports.map(r => r.reason))].join(', ');
+    const reason = note || `Reported for: ${reasons}`;
+
+    // Banning or warning someone is limited to users at or below your rank,
+    // as in the admin user routes
+    if (action === 'warn' || (action === 'remove' && targetType === 'user')) {
+      const account = await User.findById(owner, 'role').lean();
+      if (account && !coversRole(req.user, account.role)) {
+        return res.status(403).json({ message: 'You cannot perform this action on a user who ranks above you' });
+      }
+    }
+
+    if (action === 'remove') {
+      const error = await removeTarget(targetType, targetId, owner, req.user, reason);
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+    }
+
+    if (action === 'warn') {
+      const user = await User.findByIdAndUpdate(
+        owner,
+        { $push: { warnings: { reason, issuedBy: req.user._id } } },
+        { new: true, select: 'username email' }
+      );
+
+      if (user) {
+        await sendWarningEmail(user, reason)
+          .catch(error => console.error('Error sending warning:', error));
+      }
+    }
+
+    await Report.updateMany(
+      { _id: { $in: reports.map(r => r._id) }, status: 'open' },
+      {
+        status: 'resolved',
+        resolution,
+        resolutionNote: note || null,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      }
+    );
+
+    await notifyReporters(reports, targetType, resolution);
+
+    res.json({ message: 'Reports resolved', resolution, resolved: reports.length });
+  } catch (error) {
+    console.error('Error resolving reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticate, requireSession, requirePermission } = require('../middleware/auth');
+const { loadRoles, roleExists, hasPermission, coversRole } = require('../services/permissions');
+
+const isBuiltIn = (name) => Object.prototype.hasOwnProperty.call(Role.BUILT_IN_ROLES, name);
+
+// Validate a list of permission names from a request body
+const invalidPermissions = (permissions) => {
+  return !Array.isArray(permissions) || permissions.some(p => !Role.PERMISSIONS.includes(p));
+};
+
+// Staff can only grant permissions they hold themselves
+const grantsMoreThan = (user, permissions) => !permissions.every(p => hasPermission(user, p));
+
+// Role management is only available to signed-in staff, never to API tokens
+router.use(authenticate, requireSession);
+
+// List all roles with their permissions
+router.get('/', requirePermission('role.assign'), async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 }).lean();
+
+    const builtInRoles = Object.keys(Role.BUILT_IN_ROLES).map(name => ({
+      name,
+      permissions: Role.BUILT_IN_ROLES[name],
+      builtIn: true
+    }));
+
+    res.json({
+      permissions: Role.PERMISSIONS,
+      roles: [...builtInRoles, ...customRoles.map(role => ({ ...role, builtIn: false }))]
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a custom role
+router.post('/', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !/^[a-z0-9_-]{2,30}$/.test(name)) {
+      return res.status(400).json({ message: 'Role name must be 2-30 lowercase letters, digits, _ or -' });
+    }
+
+    if (roleExists(name) || await Role.exists({ name })) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+
+    if (invalidPermissions(permissions)) {
+      return res.status(400).json({ message: 'Invalid permissions' });
+    }
+
+    if (grantsMoreThan(req.user, permissions)) {
+      return res.status(403).json({ message: 'You cannot grant permissions you don\'t have' });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+    await loadRoles();
+
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a custom role's description or permissions
+router.put('/:name', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    if (isBuiltIn(name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be modified' });
+    }
+
+    if (permissions !== undefined && invalidPermissions(permissions)) {
+      return res.status(400).json({ message: 'Invalid permissions' });
+    }
+
+    const existing = await Role.findOne({ name }, 'permissions').lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (grantsMoreThan(req.user, existing.permissions)) {
+      return res.status(403).json({ message: 'You cannot modify a role with permissions you don\'t have' });
+    }
+
+    if (permissions !== undefined && grantsMoreThan(req.user, permissions)) {
+      return res.status(403).json({ message: 'You cannot grant permissions you don\'t have' });
+    }
+
+    // Only apply on top of the permissions checked above
+    const role = await Role.findOneAndUpdate(
+      { name, permissions: existing.permissions },
+      {
+        ...(description !== undefined && { description }),
+        ...(permissions !== undefined && { permissions })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!role) {
+      return res.status(409).json({ message: 'The role changed, please try again' });
+    }
+
+    await loadRoles();
+
+    res.json(role);
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a custom role; its members fall back to the user role
+router.delete('/:name', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (isBuiltIn(name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const existing = await Role.findOne({ name }, 'permissions').lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (grantsMoreThan(req.user, existing.permissions)) {
+      return res.status(403).json({ message: 'You cannot delete a role with permissions you don\'t have' });
+    }
+
+    const role = await Role.findOneAndDelete({ name, permissions: existing.permissions });
+    if (!role) {
+      return res.status(409).json({ message: 'The role changed, please try again' });
+    }
+
+    await User.updateMany({ role: name }, { role: 'user' });
+    await loadRoles();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a role to a user
+router.put('/users/:userId', requirePermission('role.assign'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!role || !roleExists(role)) {
+      return res.status(400).json({ message: 'Unknown role' });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const target = await User.findById(userId, 'role').lean();
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Both the user's current role and the new one must be within the
+    // assigner's own permissions
+    if (!coversRole(req.user, target.role) || !coversRole(req.user, role)) {
+      return res.status(403).json({ message: 'You cannot assign roles above your own' });
+    }
+
+    // Only apply the change if the role wasn't changed in the meantime
+    const user = await User.findOneAndUpdate(
+      { _id: userId, role: target.role },
+      { role },
+      { new: true, select: 'username email role' }
+    );
+
+    if (!user) {
+      return res.status(409).json({ message: 'The user\'s role changed, please try again' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const Video = require('../models/Video');
+const UploadSession = require('../models/UploadSession');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { thumbnailUpload, handleUploadError } = require('../middleware/upload');
+const { partPath, nextExpiry } = require('../services/resumableUpload');
+const { validateVideoFields, createVideo } = require('../services/videoCreation');
+
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+const MAX_CHUNK_SIZE = 50 * 1024 * 1024; // 50MB
+const LOCK_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Lock is free, or held by a request that died without releasing it
+const unlockedFilter = () => ({
+  $or: [
+    { lockedAt: null },
+    { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT) } }
+  ]
+});
+
+// Pass through at most `max` bytes, failing with 413 and `message` beyond that
+const limitBytes = (max, message) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > max) {
+        const error = new Error(message);
+        error.statusCode = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+const sessionResponse = (session) => ({
+  uploadId: session._id,
+  filename: session.filename,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  chunkSize: MAX_CHUNK_SIZE,
+  video: session.video
+});
+
+// Start a resumable upload
+router.post('/', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const { filename, mimeType } = req.body;
+    const size = parseInt(req.body.size, 10);
+
+    if (!filename || !mimeType) {
+      return res.status(400).json({ message: 'filename and mimeType are required' });
+    }
+
+    if (!mimeType.startsWith('video/')) {
+      return res.status(400).json({ message: 'Only video files are allowed!' });
+    }
+
+    if (!size || size < 1) {
+      return res.status(400).json({ message: 'A valid file size is required' });
+    }
+
+    if (size > MAX_UPLOAD_SIZE) {
+      return res.status(400).json({ message: 'File too large. Maximum size is 5GB.' });
+    }
+
+    const session = new UploadSession({
+      user: req.user._id,
+      filename,
+      mimeType,
+      size,
+      expiresAt: nextExpiry()
+    });
+
+    await session.save();
+    await fs.promises.writeFile(partPath(session._id), '');
+
+    res.set('Upload-Offset', '0');
+    res.status(201).json(sessionResponse(session));
+  } catch (error) {
+    console.error('Error starting upload:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current offset of an upload, used to resume after a disconnect
+router.get('/:id', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || session.status === 'expired') {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    res.set('Upload-Offset', String(session.offset));
+    res.set('Cache-Control', 'no-store');
+    res.json(sessionResponse(session));
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Append a chunk. The Upload-Offset header must match the bytes received so far;
+// the raw request body is the chunk.
+router.patch('/:id', authenticate, requireScope('videos:write'), async (req, res) => {
+  const offset = parseInt(req.get('Upload-Offset'), 10);
+
+  if (Number.isNaN(offset) || offset < 0) {
+    return res.status(400).json({ message: 'Upload-Offset header is required' });
+  }
+
+  if (parseInt(req.get('Content-Length'), 10) > MAX_CHUNK_SIZE) {
+    return res.status(413).json({ message: 'Chunk too large. Maximum size is 50MB.' });
+  }
+
+  let session;
+  try {
+    session = await UploadSession.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'active', offset, ...unlockedFilter() },
+      { lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      const current = await UploadSession.findOne({ _id: req.params.id, user: req.user._id });
+
+      if (!current || current.status !== 'active') {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      res.set('Upload-Offset', String(current.offset));
+      if (current.offset !== offset) {
+        return res.status(409).json({ message: 'Upload offset mismatch', offset: current.offset });
+      }
+      return res.status(409).json({ message: 'Another chunk is already being uploaded', offset });
+    }
+  } catch (error) {
+    console.error('Error appending upload chunk:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  const file = partPath(session._id);
+  let writeError = null;
+
+  try {
+    // Drop anything written after the last recorded offset (e.g. by a crash)
+    await fs.promises.truncate(file, session.offset);
+    const remaining = session.size - session.offset;
+    await pipeline(
+      req,
+      // Content-Length is checked above, but chunked requests don't send one
+      remaining > MAX_CHUNK_SIZE
+        ? limitBytes(MAX_CHUNK_SIZE, 'Chunk too large. Maximum size is 50MB.')
+        : limitBytes(remaining, 'Chunk exceeds the declared upload size'),
+      fs.createWriteStream(file, { flags: 'a' })
+    );
+  } catch (error) {
+    writeError = error;
+  }
+
+  try {
+    // Whatever reached the disk counts, so an interrupted chunk resumes where it stopped
+    const { size } = await fs.promises.stat(file);
+    session.offset = Math.min(size, session.size);
+    session.lockedAt = null;
+    session.expiresAt = nextExpiry();
+    await session.save();
+
+    res.set('Upload-Offset', String(session.offset));
+
+    if (writeError) {
+      if (writeError.statusCode === 413) {
+        return res.status(413).json({ message: writeError.message, offset: session.offset });
+      }
+      console.error('Upload chunk interrupted:', writeError.message);
+      return res.status(400).json({ message: 'Upload interrupted', offset: session.offset });
+    }
+
+    res.json(sessionResponse(session));
+  } catch (error) {
+    console.error('Error appending upload chunk:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish an upload: takes the video details and an optional thumbnail as
+// multipart form data and creates the video the same way POST /api/videos does
+router.post('/:id/complete', authenticate, requireScope('videos:write'), thumbnailUpload, handleUploadError, async (req, res) => {
+  let session = null;
+  let videoFile = null;
+
+  // Put the file back and release the lock so the upload can be completed again
+  const release = async () => {
+    if (videoFile) {
+      await fs.promises.rename(videoFile, partPath(session._id));
+    }
+    await UploadSession.updateOne({ _id: session._id }, { lockedAt: null });
+  };
+
+  try {
+    const existing = await UploadSession.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!existing || existing.status === 'expired') {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    // Completing twice returns the video created the first time
+    if (existing.status === 'completed') {
+      const video = await Video.findById(existing.video).populate('user', 'username profilePicture');
+      return res.json(video);
+    }
+
+    if (existing.offset !== existing.size) {
+      return res.status(400).json({ message: 'Upload is not complete', offset: existing.offset });
+    }
+
+    const { error } = validateVideoFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    session = await UploadSession.findOneAndUpdate(
+      { _id: existing._id, status: 'active', ...unlockedFilter() },
+      { lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({ message: 'Upload is busy, try again' });
+    }
+
+    // Move the assembled file next to regular uploads
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const videoPath = path.join('uploads/videos', 'video-' + uniqueSuffix + path.extname(session.filename));
+    await fs.promises.rename(partPath(session._id), path.join(__dirname, '..', videoPath));
+    videoFile = path.join(__dirname, '..', videoPath);
+
+    const thumbnailPath = req.file ? req.file.path : null;
+    const { video, error: createError } = await createVideo(req.user, videoPath, thumbnailPath, req.body);
+    if (createError) {
+      await release();
+      return res.status(400).json({ message: createError });
+    }
+    videoFile = null; // the file belongs to the video now
+
+    session.status = 'completed';
+    session.video = video._id;
+    session.lockedAt = null;
+    await session.save();
+
+    res.status(201).json(video);
+  } catch (error) {
+    console.error('Error completing upload:', error);
+    if (session && session.status !== 'completed') {
+      await release().catch(err => console.error('Error releasing upload:', err));
+    }
+    res.status(500).json({ message: 'Server error during video upload' });
+  }
+});
+
+// Abort an upload and discard the received data
+router.delete('/:id', authenticate, requireScope('videos:write'), async (req, res) => {
+  try {
+    const session = await UploadSession.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id,
+      status: { $ne: 'completed' }
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    await fs.promises.rm(partPath(session._id), { force: true });
+
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
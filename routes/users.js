@@ -3,11 +3,21 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Video = require('../models/Video');
-const { authenticate } = require('../middleware/auth');
+const History = require('../models/History');
+const Subscription = require('../models/Subscription');
+const Reaction = require('../models/Reaction');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { notify } = require('../services/notifications');
+const { trackChannel } = require('../services/analytics');
+const { paginate } = require('../services/pagination');
+const { loadCommentSettings, parseBlockedWords } = require('../services/commentModeration');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Fields anyone may see on a user's public profile
+const PUBLIC_PROFILE_FIELDS = 'username profilePicture bio subscriberCount createdAt';
+
 // Configure profile picture upload
 const profilePicStorage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -38,30 +48,8 @@ const profilePicUpload = multer({
   }
 }).single('profilePicture');
 
-// Get user by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const user = await User.findById(id, '-password');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Add subscriber count
-    const userObj = user.toObject();
-    userObj.subscriberCount = user.subscribers.length;
-    
-    res.json(userObj);
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // Update user profile
-router.put('/profile', authenticate, async (req, res) => {
+router.put('/profile', authenticate, requireScope('profile'), async (req, res) => {
   try {
     const { username, bio } = req.body;
     const userId = req.user._id;
@@ -82,7 +70,7 @@ router.put('/profile', authenticate, async (req, res) => {
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { 
-        ...(username && { username }),
+        ...(username && { username, usernameLower: username.trim().toLowerCase() }),
         ...(bio !== undefined && { bio })
       },
       { new: true, select: '-password' }
@@ -96,7 +84,7 @@ router.put('/profile', authenticate, async (req, res) => {
 });
 
 // Upload profile picture
-router.post('/profile-picture', authenticate, (req, res) => {
+router.post('/profile-picture', authenticate, requireScope('profile'), (req, res) => {
   profilePicUpload(req, res, async function(err) {
     if (err instanceof multer.MulterError) {
       if (err.code === 'LIMIT_FILE_SIZE') {
@@ -132,7 +120,7 @@ router.post('/profile-picture', authenticate, (req, res) => {
 });
 
 // Subscribe to a channel
-router.post('/subscribe/:channelId', authenticate, async (req, res) => {
+router.post('/subscribe/:channelId', authenticate, requireScope('profile'), async (req, res) => {
   try {
     const { channelId } = req.params;
     const subscriberId = req.user._id;
@@ -143,28 +131,25 @@ router.post('/subscribe/:channelId', authenticate, async (req, res) => {
     }
     
     // Check if channel exists
-    const channel = await User.findById(channelId);
+    const channel = await User.findById(channelId, '_id');
     if (!channel) {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    // Check if already subscribed
-    const alreadySubscribed = channel.subscribers.includes(subscriberId);
-    if (alreadySubscribed) {
-      return res.status(400).json({ message: 'Already subscribed to this channel' });
+    try {
+      await Subscription.create({ subscriber: subscriberId, channel: channelId });
+    } catch (error) {
+      // Unique index on (subscriber, channel)
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Already subscribed to this channel' });
+      }
+      throw error;
     }
     
-    // Add subscriber to channel's subscribers
-    await User.findByIdAndUpdate(
-      channelId,
-      { $push: { subscribers: subscriberId } }
-    );
+    await User.findByIdAndUpdate(channelId, { $inc: { subscriberCount: 1 } });
+    trackChannel(channel._id, { subscribersGained: 1 });
     
-    // Add channel to user's subscriptions
-    await User.findByIdAndUpdate(
-      subscriberId,
-      { $push: { subscribedTo: channelId } }
-    );
+    notify({ recipient: channel._id, actor: subscriberId, type: 'new_subscriber' });
     
     res.json({ message: 'Subscribed successfully' });
   } catch (error) {
@@ -174,34 +159,24 @@ router.post('/subscribe/:channelId', authenticate, async (req, res) => {
 });
 
 // Unsubscribe from a channel
-router.delete('/unsubscribe/:channelId', authenticate, async (req, res) => {
+router.delete('/unsubscribe/:channelId', authenticate, requireScope('profile'), async (req, res) => {
   try {
     const { channelId } = req.params;
     const subscriberId = req.user._id;
     
     // Check if channel exists
-    const channel = await User.findById(channelId);
+    const channel = await User.findById(channelId, '_id');
     if (!channel) {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    // Check if subscribed
-    const isSubscribed = channel.subscribers.includes(subscriberId);
-    if (!isSubscribed) {
+    const subscription = await Subscription.findOneAndDelete({ subscriber: subscriberId, channel: channelId });
+    if (!subscription) {
       return res.status(400).json({ message: 'Not subscribed to this channel' });
     }
     
-    // Remove subscriber from channel's subscribers
-    await User.findByIdAndUpdate(
-      channelId,
-      { $pull: { subscribers: subscriberId } }
-    );
-    
-    // Remove channel from user's subscriptions
-    await User.findByIdAndUpdate(
-      subscriberId,
-      { $pull: { subscribedTo: channelId } }
-    );
+    await User.findByIdAndUpdate(channelId, { $inc: { subscriberCount: -1 } });
+    trackChannel(channel._id, { subscribersLost: 1 });
     
     res.json({ message: 'Unsubscribed successfully' });
   } catch (error) {
@@ -211,18 +186,18 @@ router.delete('/unsubscribe/:channelId', authenticate, async (req, res) => {
 });
 
 // Check if user is subscribed to a channel
-router.get('/check-subscription/:channelId', authenticate, async (req, res) => {
+router.get('/check-subscription/:channelId', authenticate, requireScope('profile'), async (req, res) => {
   try {
     const { channelId } = req.params;
     const subscriberId = req.user._id;
     
     // Check if channel exists
-    const channel = await User.findById(channelId);
+    const channel = await User.findById(channelId, '_id');
     if (!channel) {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    const isSubscribed = channel.subscribers.includes(subscriberId);
+    const isSubscribed = !!(await Subscription.exists({ subscriber: subscriberId, channel: channelId }));
     
     res.json({ isSubscribed });
   } catch (error) {
@@ -231,42 +206,270 @@ router.get('/check-subscription/:channelId', authenticate, async (req, res) => {
   }
 });
 
-// Get user's subscriptions
-router.get('/subscriptions', authenticate, async (req, res) => {
+// Get user's subscriptions (paginated, most recently subscribed first)
+router.get('/subscriptions', authenticate, requireScope('profile'), async (req, res) => {
   try {
-    const userId = req.user._id;
+    const page = await paginate(Subscription, { subscriber: req.user._id }, req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'channel', select: 'username profilePicture subscriberCount' },
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    const user = await User.findById(userId).populate('subscribedTo', 'username profilePicture');
+    // The cursor follows the subscriptions; the items are the channels
+    page.items = page.items
+      .filter(subscription => subscription.channel)
+      .map(subscription => ({ ...subscription.channel, subscribedAt: subscription.createdAt }));
     
-    res.json(user.subscribedTo);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching subscriptions:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get user's liked videos
-router.get('/liked-videos', authenticate, async (req, res) => {
+// Get the latest public videos from subscribed channels (paginated, newest first)
+router.get('/feed', authenticate, requireScope('videos:read'), async (req, res) => {
   try {
-    const userId = req.user._id;
+    const channelIds = await Subscription.find({ subscriber: req.user._id }).distinct('channel');
+    
+    const page = await paginate(Video, { ...Video.listedFilter(), user: { $in: channelIds } }, req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'user', select: 'username profilePicture' },
+      maxLimit: 50
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching subscription feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user's liked videos (paginated, most recently liked first)
+router.get('/liked-videos', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const filter = { user: req.user._id, targetType: 'video', type: 'like' };
+    
+    const page = await paginate(Reaction, filter, req.query, {
+      sort: { updatedAt: -1 },
+      populate: {
+        path: 'target',
+        model: 'Video',
+        populate: { path: 'user', select: 'username profilePicture' }
+      }
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    const likedVideos = await Video.find({ likes: userId })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username profilePicture')
-      .lean();
+    // Skip videos that have since been deleted or made private
+    page.items = page.items
+      .filter(reaction => reaction.target && Video.canView(reaction.target, req.user))
+      .map(reaction => ({ ...reaction.target, likedAt: reaction.updatedAt }));
     
-    res.json(likedVideos);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching liked videos:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get user's watch history (if implemented)
-router.get('/history', authenticate, async (req, res) => {
-  // This would require a History model tracking user views
-  // For simplicity, just return an empty array for now
-  res.json([]);
+// Get user's watch history (paginated, most recently watched first)
+router.get('/history', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    
+    // "Continue watching": started but not finished
+    if (req.query.inProgress === 'true') {
+      filter.position = { $gt: 0 };
+      filter.completed = false;
+    }
+    
+    const page = await paginate(History, filter, req.query, {
+      sort: { watchedAt: -1 },
+      populate: {
+        path: 'video',
+        populate: { path: 'user', select: 'username profilePicture' }
+      }
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    // Skip entries whose video has since been deleted or made private. The
+    // cursor still points past them, so a short page doesn't mean the end.
+    page.items = page.items.filter(entry => entry.video && Video.canView(entry.video, req.user));
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching watch history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the channel-wide comment settings for the current user's videos
+router.get('/comment-settings', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    res.json(await loadCommentSettings(req.user._id));
+  } catch (error) {
+    console.error('Error fetching comment settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the comment settings: { disabled, holdLinks, blockedWords }. Any
+// field left out keeps its current value.
+router.put('/comment-settings', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const { disabled, holdLinks, blockedWords } = req.body;
+    const update = {};
+    
+    for (const [name, value] of Object.entries({ disabled, holdLinks })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ message: `${name} must be a boolean` });
+      }
+      update[`commentSettings.${name}`] = value;
+    }
+    
+    if (blockedWords !== undefined) {
+      const { words, error } = parseBlockedWords(blockedWords);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      update['commentSettings.blockedWords'] = words;
+    }
+    
+    await User.updateOne({ _id: req.user._id }, update);
+    
+    res.json(await loadCommentSettings(req.user._id));
+  } catch (error) {
+    console.error('Error updating comment settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pause or resume watch history recording
+router.put('/history/pause', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const { paused } = req.body;
+    
+    if (typeof paused !== 'boolean') {
+      return res.status(400).json({ message: 'paused must be a boolean' });
+    }
+    
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { historyPaused: paused },
+      { new: true, select: '-password' }
+    );
+    
+    res.json({ historyPaused: updatedUser.historyPaused });
+  } catch (error) {
+    console.error('Error updating history setting:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the saved playback position for a video
+router.get('/history/:videoId', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const entry = await History.findOne({ user: req.user._id, video: videoId }).lean();
+    
+    if (!entry) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+    
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching history entry:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save the playback position for a video
+router.put('/history/:videoId', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const position = Number(req.body.position);
+    
+    if (!Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ message: 'A valid position in seconds is required' });
+    }
+    
+    if (req.user.historyPaused) {
+      return res.json({ message: 'Watch history is paused' });
+    }
+    
+    const video = await Video.findById(videoId, 'user visibility takenDownAt duration');
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const entry = await History.record(req.user._id, video, position);
+    
+    res.json(entry);
+  } catch (error) {
+    console.error('Error saving playback position:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a single video from watch history
+router.delete('/history/:videoId', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    
+    const entry = await History.findOneAndDelete({ user: req.user._id, video: videoId });
+    
+    if (!entry) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+    
+    res.json({ message: 'Removed from watch history' });
+  } catch (error) {
+    console.error('Error removing history entry:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear all watch history
+router.delete('/history', authenticate, requireScope('profile'), async (req, res) => {
+  try {
+    await History.deleteMany({ user: req.user._id });
+    
+    res.json({ message: 'Watch history cleared' });
+  } catch (error) {
+    console.error('Error clearing watch history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get user by ID (defined last so it doesn't shadow the named routes above)
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Public fields only; account and moderation details stay private
+    const user = await User.findById(id, PUBLIC_PROFILE_FIELDS).lean();
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
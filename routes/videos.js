@@ -1,95 +1,203 @@
 
 const express = require('express');
 const router = express.Router();
-const { getVideoDurationInSeconds } = require('get-video-duration');
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
 const Video = require('../models/Video');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
-const { authenticate, optionalAuth } = require('../middleware/auth');
-const { videoUpload, handleUploadError } = require('../middleware/upload');
+const History = require('../models/History');
+const Playlist = require('../models/Playlist');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const ViewEvent = require('../models/ViewEvent');
+const ViewWindow = require('../models/ViewWindow');
+const VideoDailyStats = require('../models/VideoDailyStats');
+const Reaction = require('../models/Reaction');
+const jobQueue = require('../services/jobQueue');
+const { hlsDir } = require('../services/transcoder');
+const { CANDIDATE_FILES, candidatesDir, storyboardDir } = require('../services/thumbnailGenerator');
+const { parseVisibility, createVideo } = require('../services/videoCreation');
+const { notify, notifyNewVideo } = require('../services/notifications');
+const { openEventStream } = require('../services/eventStream');
+const { joinVideo } = require('../services/liveComments');
+const { recordHeartbeat } = require('../services/viewCounter');
+const { trackVideo } = require('../services/analytics');
+const { recommendForVideo, recommendHome } = require('../services/recommendations');
+const { searchVideos, searchRelated, recordQuery, suggest } = require('../services/search');
+const { paginate } = require('../services/pagination');
+const { addReaction, removeReaction } = require('../services/reactions');
+const { loadCommentSettings, holdReason, announceComment } = require('../services/commentModeration');
+const {
+  authenticate,
+  optionalAuth,
+  requireScope,
+  requirePermission,
+  ownerOrPermission
+} = require('../middleware/auth');
+const { videoUpload, thumbnailUpload, handleUploadError } = require('../middleware/upload');
 
-// Get all videos (paginated)
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+
+// Send a media file belonging to a video. Range and conditional requests are
+// handled by res.sendFile; caching depends on the video's visibility.
+const sendVideoFile = (res, video, filePath, options = {}) => {
+  res.set('Cache-Control', video.visibility === 'public' ? 'public, max-age=86400' : 'private, no-store');
+  
+  res.sendFile(filePath, { ...options, cacheControl: false }, (err) => {
+    if (!err || res.headersSent) return;
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    res.status(err.status || 500).end();
+  });
+};
+
+// Get all videos (paginated, newest first)
 router.get('/', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    const videos = await Video.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'username profilePicture')
-      .lean();
-    
-    // Get total count for pagination
-    const total = await Video.countDocuments();
+    const page = await paginate(Video, Video.listedFilter(), req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'user', select: 'username profilePicture' },
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    res.json(videos);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching videos:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get videos by category
+// Get videos by category (paginated, newest first)
 router.get('/category/:category', async (req, res) => {
   try {
     const { category } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
     
-    const videos = await Video.find({ category })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'username profilePicture')
-      .lean();
+    const page = await paginate(Video, { ...Video.listedFilter(), category }, req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'user', select: 'username profilePicture' }
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    res.json(videos);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching videos by category:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Search videos
+// Search videos with optional filters (category, duration, uploadDate or
+// from/to, tags), a sort mode and cursor pagination
 router.get('/search', async (req, res) => {
   try {
     const { q } = req.query;
     
-    if (!q) {
+    if (!q || !q.trim()) {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    const videos = await Video.find(
-      { $text: { $search: q } },
-      { score: { $meta: 'textScore' } }
-    )
-      .sort({ score: { $meta: 'textScore' }, views: -1 })
-      .limit(50)
-      .populate('user', 'username profilePicture')
-      .lean();
+    const page = await searchVideos(q, req.query);
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    res.json(videos);
+    // Channels and playlists are only mixed into the first page
+    const firstPage = !req.query.cursor;
+    const { channels, playlists } = firstPage ? await searchRelated(q) : { channels: [], playlists: [] };
+    
+    if (firstPage && page.items.length) {
+      recordQuery(q);
+    }
+    
+    res.json({ ...page, channels, playlists });
   } catch (error) {
     console.error('Error searching videos:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get videos by user
-router.get('/user/:userId', async (req, res) => {
+// Autocomplete suggestions for a partially typed query
+router.get('/search/suggest', async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { q } = req.query;
     
-    const videos = await Video.find({ user: userId })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username profilePicture')
-      .lean();
+    if (!q || !q.trim()) {
+      return res.json([]);
+    }
+    
+    res.json(await suggest(q));
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Personalized home feed; signed-out visitors get trending and fresh videos
+router.get('/home', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 50);
+    
+    const videos = await recommendHome(req.user, limit);
     
     res.json(videos);
+  } catch (error) {
+    console.error('Error fetching home feed:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get trending videos, optionally in one category. Scores are precomputed by
+// services/trending.js, so this is a single indexed read.
+router.get('/trending', async (req, res) => {
+  try {
+    const { category } = req.query;
+    
+    const filter = { ...Video.listedFilter(), trendingScore: { $gt: 0 } };
+    if (category) {
+      filter.category = category;
+    }
+    
+    const page = await paginate(Video, filter, req.query, {
+      sort: { trendingScore: -1 },
+      populate: { path: 'user', select: 'username profilePicture' },
+      defaultLimit: 50
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching trending videos:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get videos by user, newest first (owners see all of their own videos)
+router.get('/user/:userId', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const isOwner = req.user && req.user._id.toString() === userId;
+    const filter = isOwner ? { user: userId } : { ...Video.listedFilter(), user: userId };
+    
+    const page = await paginate(Video, filter, req.query, {
+      sort: { createdAt: -1 },
+      populate: { path: 'user', select: 'username profilePicture' },
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
+    
+    res.json(page);
   } catch (error) {
     console.error('Error fetching user videos:', error);
     res.status(500).json({ message: 'Server error' });
@@ -97,31 +205,33 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Get a single video by ID
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const video = await Video.findById(id)
-      .populate('user', 'username profilePicture subscribers')
+      .populate('user', 'username profilePicture subscriberCount')
       .lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Add subscriber count to user object
-    video.user.subscriberCount = video.user.subscribers ? video.user.subscribers.length : 0;
-    delete video.user.subscribers;
-    
-    // Add like and dislike counts
-    video.likes = video.likes ? video.likes.length : 0;
-    video.dislikes = video.dislikes ? video.dislikes.length : 0;
+    // Like and dislike counts
+    video.likes = video.likeCount;
+    video.dislikes = video.dislikeCount;
     
     // Check if authenticated user has liked/disliked
     if (req.user) {
-      const fullVideo = await Video.findById(id);
-      video.hasLiked = fullVideo.likes.includes(req.user._id);
-      video.hasDisliked = fullVideo.dislikes.includes(req.user._id);
+      const [reaction, historyEntry] = await Promise.all([
+        Reaction.findOne({ user: req.user._id, targetType: 'video', target: video._id }, 'type').lean(),
+        History.findOne({ user: req.user._id, video: id }, 'position').lean()
+      ]);
+      video.hasLiked = !!reaction && reaction.type === 'like';
+      video.hasDisliked = !!reaction && reaction.type === 'dislike';
+      
+      // Saved playback position so the player can resume
+      video.resumePosition = historyEntry ? historyEntry.position : 0;
     }
     
     res.json(video);
@@ -131,57 +241,189 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Get recommended videos
-router.get('/:id/recommended', async (req, res) => {
+// Stream a video file. Range, conditional requests and content types are
+// handled by res.sendFile; access rules match GET /:id.
+router.get('/:id/stream', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get the current video to find similar ones
-    const currentVideo = await Video.findById(id);
+    const video = await Video.findById(id, 'user visibility takenDownAt videoPath').lean();
+    
+    if (!video || !Video.canView(video, req.user) || !video.videoPath) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    // Refuse paths that resolve outside the uploads directory
+    const filePath = path.resolve(__dirname, '..', video.videoPath);
+    if (!filePath.startsWith(UPLOADS_ROOT + path.sep)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    sendVideoFile(res, video, filePath, { acceptRanges: true });
+  } catch (error) {
+    console.error('Error streaming video:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Serve HLS playlists and segments produced by the transcoder
+router.get('/:id/hls/*', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const file = req.params[0];
     
-    if (!currentVideo) {
+    if (!/^[\w-]+(\/[\w-]+)*\.(m3u8|ts)$/.test(file)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt processingStatus').lean();
+    
+    if (!video || !Video.canView(video, req.user) || video.processingStatus === 'failed') {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    sendVideoFile(res, video, path.join(hlsDir(video._id), file));
+  } catch (error) {
+    console.error('Error serving HLS file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Serve the seek-preview storyboard (WebVTT index and sprite sheet)
+router.get('/:id/storyboard/:file', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id, file } = req.params;
+    
+    if (!['storyboard.vtt', 'sprite.jpg'].includes(file)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt').lean();
+    
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    sendVideoFile(res, video, path.join(storyboardDir(video._id), file));
+  } catch (error) {
+    console.error('Error serving storyboard:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Serve a generated thumbnail candidate
+router.get('/:id/thumbnail-candidates/:file', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id, file } = req.params;
+    
+    if (!CANDIDATE_FILES.includes(file)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt').lean();
+    
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Find videos in the same category, excluding the current one
-    const recommendedVideos = await Video.find({
-      _id: { $ne: id },
-      category: currentVideo.category
-    })
-      .sort({ views: -1, createdAt: -1 })
-      .limit(15)
-      .populate('user', 'username profilePicture')
+    sendVideoFile(res, video, path.join(candidatesDir(video._id), file));
+  } catch (error) {
+    console.error('Error serving thumbnail candidate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a video's thumbnail: either a custom image upload or the index of a
+// generated candidate in the `candidate` field
+router.put('/:id/thumbnail', authenticate, requireScope('videos:write'), ownerOrPermission(Video, 'update', 'video.update.any'), thumbnailUpload, handleUploadError, async (req, res) => {
+  try {
+    const { video } = req;
+    
+    if (req.file) {
+      video.thumbnailUrl = `/${req.file.path}`;
+    } else {
+      const index = parseInt(req.body.candidate, 10);
+      if (Number.isNaN(index) || !video.thumbnailCandidates[index]) {
+        return res.status(400).json({ message: 'A thumbnail file or a valid candidate index is required' });
+      }
+      video.thumbnailUrl = video.thumbnailCandidates[index];
+    }
+    
+    await video.save();
+    
+    res.json({ thumbnailUrl: video.thumbnailUrl, thumbnailCandidates: video.thumbnailCandidates });
+  } catch (error) {
+    console.error('Error updating thumbnail:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get processing status of an upload (owner or staff)
+router.get('/:id/processing', authenticate, requireScope('videos:read'), ownerOrPermission(Video, 'view', 'video.update.any'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { video } = req;
+    
+    const job = await Job.findOne({ video: id, type: 'transcode' }, 'status attempts maxAttempts runAt error')
+      .sort({ createdAt: -1 })
       .lean();
     
-    // If we don't have enough recommendations, add some popular videos
-    if (recommendedVideos.length < 10) {
-      const popularVideos = await Video.find({
-        _id: { $ne: id },
-        _id: { $nin: recommendedVideos.map(v => v._id) }
-      })
-        .sort({ views: -1 })
-        .limit(15 - recommendedVideos.length)
-        .populate('user', 'username profilePicture')
-        .lean();
-      
-      recommendedVideos.push(...popularVideos);
+    res.json({
+      processingStatus: video.processingStatus,
+      processingProgress: video.processingProgress,
+      processingError: video.processingError,
+      hlsUrl: video.hlsUrl,
+      renditions: video.renditions,
+      job
+    });
+  } catch (error) {
+    console.error('Error fetching processing status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retry a failed transcode (owner or staff)
+router.post('/:id/processing/retry', authenticate, requireScope('videos:write'), ownerOrPermission(Video, 'update', 'video.update.any'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { video } = req;
+    
+    if (video.processingStatus !== 'failed') {
+      return res.status(400).json({ message: 'Only failed videos can be retried' });
     }
     
-    res.json(recommendedVideos);
+    const job = await Job.findOne({ video: id, type: 'transcode' }).sort({ createdAt: -1 });
+    if (job) {
+      await jobQueue.retry(job);
+    } else {
+      await jobQueue.enqueue('transcode', id);
+    }
+    
+    await Video.updateOne(
+      { _id: id },
+      { processingStatus: 'queued', processingProgress: 0, processingError: null }
+    );
+    
+    res.json({ message: 'Processing restarted' });
   } catch (error) {
-    console.error('Error fetching recommended videos:', error);
+    console.error('Error retrying video processing:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Increment view count
-router.post('/:id/view', async (req, res) => {
+// Take a video down for violating the rules (moderators)
+router.post('/:id/takedown', authenticate, requireScope('videos:write'), requirePermission('video.takedown'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A takedown reason is required' });
+    }
     
     const video = await Video.findByIdAndUpdate(
       id,
-      { $inc: { views: 1 } },
+      { takenDownAt: new Date(), takenDownBy: req.user._id, takedownReason: reason.trim() },
       { new: true }
     );
     
@@ -189,73 +431,143 @@ router.post('/:id/view', async (req, res) => {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    res.json({ views: video.views });
+    res.json({ message: 'Video taken down', takenDownAt: video.takenDownAt });
   } catch (error) {
-    console.error('Error incrementing view count:', error);
+    console.error('Error taking down video:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Upload a new video
-router.post('/', authenticate, videoUpload, handleUploadError, async (req, res) => {
+// Restore a taken-down video (moderators)
+router.delete('/:id/takedown', authenticate, requireScope('videos:write'), requirePermission('video.takedown'), async (req, res) => {
   try {
-    if (!req.files || !req.files.video || !req.files.thumbnail) {
-      return res.status(400).json({ message: 'Video and thumbnail files are required' });
-    }
+    const { id } = req.params;
     
-    const { title, description, category, tags } = req.body;
-    const videoPath = req.files.video[0].path;
-    const thumbnailPath = req.files.thumbnail[0].path;
+    const video = await Video.findByIdAndUpdate(
+      id,
+      { takenDownAt: null, takenDownBy: null, takedownReason: null },
+      { new: true }
+    );
     
-    // Get video duration
-    let duration = 0;
-    try {
-      duration = await getVideoDurationInSeconds(videoPath);
-    } catch (err) {
-      console.error('Error getting video duration:', err);
+    if (!video) {
+      return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Create video document
-    const video = new Video({
-      title,
-      description,
-      videoUrl: `/${videoPath}`,
-      thumbnailUrl: `/${thumbnailPath}`,
-      duration,
-      user: req.user._id,
-      category: category || 'Entertainment',
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
-    });
+    res.json({ message: 'Video restored' });
+  } catch (error) {
+    console.error('Error restoring video:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get recommended videos to watch next (see services/recommendations.js)
+router.get('/:id/recommended', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 15, 50);
     
-    await video.save();
+    const currentVideo = await Video.findById(id);
     
-    // Populate user data for response
-    await video.populate('user', 'username profilePicture');
+    if (!currentVideo || !Video.canView(currentVideo, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
     
-    res.status(201).json(video);
+    const recommendedVideos = await recommendForVideo(currentVideo, req.user, limit);
+    
+    res.json(recommendedVideos);
   } catch (error) {
-    console.error('Error uploading video:', error);
-    res.status(500).json({ message: 'Server error during video upload' });
+    console.error('Error fetching recommended videos:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update a video
-router.put('/:id', authenticate, async (req, res) => {
+// Playback heartbeat. Players call this when playback starts and then every
+// 10-30 seconds with { seconds, position }: the seconds watched since the
+// previous heartbeat and the current position. Views are counted once per
+// viewer per day after enough watch time (see services/viewCounter.js).
+router.post('/:id/view', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, category, tags } = req.body;
+    const seconds = Number(req.body.seconds || 0);
+    const position = req.body.position !== undefined ? Number(req.body.position) : undefined;
     
-    // Find video and check ownership
-    const video = await Video.findById(id);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      return res.status(400).json({ message: 'seconds must be a non-negative number' });
+    }
     
-    if (!video) {
+    if (position !== undefined && (!Number.isFinite(position) || position < 0)) {
+      return res.status(400).json({ message: 'position must be a non-negative number' });
+    }
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt duration');
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    if (video.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ message: 'Not authorized to update this video' });
+    const { counted } = await recordHeartbeat(video, req, { seconds, position: position || 0 });
+    
+    if (req.user && !req.user.historyPaused) {
+      await History.record(req.user._id, video, position);
+    }
+    
+    const { views } = await Video.findById(id, 'views').lean();
+    
+    res.json({ views, counted });
+  } catch (error) {
+    console.error('Error recording view:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete the files multer stored for a request that didn't create a video
+const removeUploadedFiles = (files) => {
+  const paths = Object.values(files || {}).flat().map(file => file.path);
+  return Promise.all(paths.map(filePath => fs.promises.rm(filePath, { force: true })));
+};
+
+// Upload a new video
+router.post('/', authenticate, requireScope('videos:write'), videoUpload, handleUploadError, async (req, res) => {
+  try {
+    if (!req.files || !req.files.video) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ message: 'Video file is required' });
+    }
+    
+    const { video, error } = await createVideo(
+      req.user,
+      req.files.video[0].path,
+      req.files.thumbnail ? req.files.thumbnail[0].path : null,
+      req.body
+    );
+    
+    if (error) {
+      await removeUploadedFiles(req.files);
+      return res.status(400).json({ message: error });
     }
     
+    res.status(201).json(video);
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    
+    // Keep the files if the video was saved before the failure
+    try {
+      if (req.files && req.files.video && !(await Video.exists({ videoPath: req.files.video[0].path }))) {
+        await removeUploadedFiles(req.files);
+      }
+    } catch (err) {
+      console.error('Error removing uploaded files:', err);
+    }
+    
+    res.status(500).json({ message: 'Server error during video upload' });
+  }
+});
+
+// Update a video
+router.put('/:id', authenticate, requireScope('videos:write'), ownerOrPermission(Video, 'update', 'video.update.any'), async (req, res) => {
+  try {
+    const { video } = req;
+    const { title, description, category, tags } = req.body;
+    
     // Update fields
     video.title = title || video.title;
     video.description = description || video.description;
@@ -265,8 +577,35 @@ router.put('/:id', authenticate, async (req, res) => {
       video.tags = tags.split(',').map(tag => tag.trim());
     }
     
+    if (req.body.commentsDisabled !== undefined) {
+      if (typeof req.body.commentsDisabled !== 'boolean') {
+        return res.status(400).json({ message: 'commentsDisabled must be a boolean' });
+      }
+      video.commentsDisabled = req.body.commentsDisabled;
+    }
+    
+    const wasPublic = video.visibility === 'public';
+    
+    if (req.body.visibility !== undefined || req.body.publishAt !== undefined) {
+      const { visibility, publishAt, publishVisibility, error } = parseVisibility(
+        req.body,
+        video.publishVisibility || video.visibility
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      video.visibility = visibility || video.visibility;
+      video.publishAt = publishAt;
+      video.publishVisibility = publishVisibility;
+    }
+    
     await video.save();
     
+    // Subscribers hear about the video the first time it becomes public
+    if (!wasPublic && video.visibility === 'public') {
+      notifyNewVideo(video._id);
+    }
+    
     res.json(video);
   } catch (error) {
     console.error('Error updating video:', error);
@@ -275,26 +614,44 @@ router.put('/:id', authenticate, async (req, res) => {
 });
 
 // Delete a video
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requireScope('videos:write'), ownerOrPermission(Video, 'delete', 'video.delete.any'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Find video and check ownership
-    const video = await Video.findById(id);
-    
-    if (!video) {
-      return res.status(404).json({ message: 'Video not found' });
-    }
-    
-    if (video.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ message: 'Not authorized to delete this video' });
-    }
-    
     // Delete video
     await Video.findByIdAndDelete(id);
     
-    // Delete related comments
+    // Delete related comments and every reaction to the video or its comments
+    const commentIds = await Comment.find({ video: id }).distinct('_id');
     await Comment.deleteMany({ video: id });
+    await Reaction.deleteMany({
+      $or: [
+        { targetType: 'video', target: id },
+        { targetType: 'comment', target: { $in: commentIds } }
+      ]
+    });
+    
+    // Delete watch history entries
+    await History.deleteMany({ video: id });
+    
+    // Drop queued jobs and transcoded output
+    await Job.deleteMany({ video: id });
+    await fs.promises.rm(hlsDir(id), { recursive: true, force: true });
+    await fs.promises.rm(candidatesDir(id), { recursive: true, force: true });
+    await fs.promises.rm(storyboardDir(id), { recursive: true, force: true });
+    
+    // Remove from playlists
+    await Playlist.updateMany(
+      { 'videos.video': id },
+      { $pull: { videos: { video: id } } }
+    );
+    
+    await Notification.deleteMany({ video: id });
+    
+    // Drop raw view events, open dedup windows and analytics rollups
+    await ViewEvent.deleteMany({ video: id });
+    await ViewWindow.deleteMany({ video: id });
+    await VideoDailyStats.deleteMany({ video: id });
     
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
@@ -303,36 +660,32 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Fields needed to check access and report reaction counts
+const REACTION_FIELDS = 'user visibility takenDownAt likeCount dislikeCount';
+
 // Like a video
-router.post('/:id/like', authenticate, async (req, res) => {
+router.post('/:id/like', authenticate, requireScope('videos:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
     
-    const video = await Video.findById(id);
+    const video = await Video.findById(id, REACTION_FIELDS).lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
+    const { previous, likes, dislikes } = await addReaction(Video, 'video', video, userId, 'like');
+    
     // Check if already liked
-    if (video.likes.includes(userId)) {
+    if (previous === 'like') {
       return res.status(400).json({ message: 'Video already liked' });
     }
     
-    // Remove from dislikes if present
-    if (video.dislikes.includes(userId)) {
-      video.dislikes = video.dislikes.filter(id => id.toString() !== userId.toString());
-    }
-    
-    // Add to likes
-    video.likes.push(userId);
-    await video.save();
+    trackVideo(video._id, { likes: 1, ...(previous === 'dislike' && { dislikes: -1 }) });
+    notify({ recipient: video.user, actor: userId, type: 'video_like', video: video._id });
     
-    res.json({ 
-      likes: video.likes.length, 
-      dislikes: video.dislikes.length 
-    });
+    res.json({ likes, dislikes });
   } catch (error) {
     console.error('Error liking video:', error);
     res.status(500).json({ message: 'Server error' });
@@ -340,27 +693,22 @@ router.post('/:id/like', authenticate, async (req, res) => {
 });
 
 // Unlike a video
-router.delete('/:id/unlike', authenticate, async (req, res) => {
+router.delete('/:id/unlike', authenticate, requireScope('videos:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const video = await Video.findById(id);
+    const video = await Video.findById(id, REACTION_FIELDS).lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Remove from likes if present
-    if (video.likes.includes(userId)) {
-      video.likes = video.likes.filter(id => id.toString() !== userId.toString());
-      await video.save();
+    const { removed, likes, dislikes } = await removeReaction(Video, 'video', video, req.user._id, 'like');
+    if (removed) {
+      trackVideo(video._id, { likes: -1 });
     }
     
-    res.json({ 
-      likes: video.likes.length, 
-      dislikes: video.dislikes.length 
-    });
+    res.json({ likes, dislikes });
   } catch (error) {
     console.error('Error unliking video:', error);
     res.status(500).json({ message: 'Server error' });
@@ -368,35 +716,26 @@ router.delete('/:id/unlike', authenticate, async (req, res) => {
 });
 
 // Dislike a video
-router.post('/:id/dislike', authenticate, async (req, res) => {
+router.post('/:id/dislike', authenticate, requireScope('videos:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const video = await Video.findById(id);
+    const video = await Video.findById(id, REACTION_FIELDS).lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
+    const { previous, likes, dislikes } = await addReaction(Video, 'video', video, req.user._id, 'dislike');
+    
     // Check if already disliked
-    if (video.dislikes.includes(userId)) {
+    if (previous === 'dislike') {
       return res.status(400).json({ message: 'Video already disliked' });
     }
     
-    // Remove from likes if present
-    if (video.likes.includes(userId)) {
-      video.likes = video.likes.filter(id => id.toString() !== userId.toString());
-    }
+    trackVideo(video._id, { dislikes: 1, ...(previous === 'like' && { likes: -1 }) });
     
-    // Add to dislikes
-    video.dislikes.push(userId);
-    await video.save();
-    
-    res.json({ 
-      likes: video.likes.length, 
-      dislikes: video.dislikes.length 
-    });
+    res.json({ likes, dislikes });
   } catch (error) {
     console.error('Error disliking video:', error);
     res.status(500).json({ message: 'Server error' });
@@ -404,27 +743,22 @@ router.post('/:id/dislike', authenticate, async (req, res) => {
 });
 
 // Undislike a video
-router.delete('/:id/undislike', authenticate, async (req, res) => {
+router.delete('/:id/undislike', authenticate, requireScope('videos:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const video = await Video.findById(id);
+    const video = await Video.findById(id, REACTION_FIELDS).lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    // Remove from dislikes if present
-    if (video.dislikes.includes(userId)) {
-      video.dislikes = video.dislikes.filter(id => id.toString() !== userId.toString());
-      await video.save();
+    const { removed, likes, dislikes } = await removeReaction(Video, 'video', video, req.user._id, 'dislike');
+    if (removed) {
+      trackVideo(video._id, { dislikes: -1 });
     }
     
-    res.json({ 
-      likes: video.likes.length, 
-      dislikes: video.dislikes.length 
-    });
+    res.json({ likes, dislikes });
   } catch (error) {
     console.error('Error undisliking video:', error);
     res.status(500).json({ message: 'Server error' });
@@ -432,83 +766,191 @@ router.delete('/:id/undislike', authenticate, async (req, res) => {
 });
 
 // Check like/dislike status
-router.get('/:id/like-status', authenticate, async (req, res) => {
+router.get('/:id/like-status', authenticate, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
     
-    const video = await Video.findById(id);
+    const video = await Video.findById(id, 'user visibility takenDownAt').lean();
     
-    if (!video) {
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    const liked = video.likes.includes(userId);
-    const disliked = video.dislikes.includes(userId);
+    const reaction = await Reaction.findOne({ user: req.user._id, targetType: 'video', target: video._id }, 'type').lean();
     
-    res.json({ liked, disliked });
+    res.json({
+      liked: !!reaction && reaction.type === 'like',
+      disliked: !!reaction && reaction.type === 'dislike'
+    });
   } catch (error) {
     console.error('Error checking like status:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get comments for a video
-router.get('/:id/comments', async (req, res) => {
+// Sort modes for a video's comments. `top` is approximate across pages: the
+// cursor holds the last comment's likeCount, so a comment whose likes change
+// while someone pages through can show up twice or be skipped. That is fine
+// for a ranking; clients that need every comment exactly once use `newest`.
+const COMMENT_SORTS = {
+  top: { likeCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 }
+};
+
+// Fields left out of comment listings; the history has its own endpoint
+const COMMENT_LIST_FIELDS = '-editHistory';
+
+const COMMENT_POPULATE = [
+  { path: 'user', select: 'username profilePicture' },
+  { path: 'replyTo', select: 'username' }
+];
+
+// Get top-level comments for a video (paginated). ?sort=top|newest; the
+// first page also carries the pinned comment, which the list leaves out.
+router.get('/:id/comments', optionalAuth, requireScope('videos:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const sort = COMMENT_SORTS[req.query.sort || 'top'];
     
-    const comments = await Comment.find({ 
-      video: id,
-      parentComment: null // Only get top-level comments
-    })
-      .sort({ createdAt: -1 })
-      .populate('user', 'username profilePicture')
-      .lean();
+    if (!sort) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}` });
+    }
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt pinnedComment').lean();
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const filter = { video: id, parentComment: null, ...Comment.visibleFilter(req.user) };
+    if (video.pinnedComment) {
+      filter._id = { $ne: video.pinnedComment };
+    }
+    
+    // Replies are paged separately
+    const page = await paginate(Comment, filter, req.query, {
+      sort,
+      select: COMMENT_LIST_FIELDS,
+      populate: COMMENT_POPULATE,
+      total: true
+    });
+    if (page.error) {
+      return res.status(400).json({ message: page.error });
+    }
     
-    res.json(comments);
+    if (!req.query.cursor) {
+      page.pinned = video.pinnedComment
+        ? await Comment.findById(video.pinnedComment, COMMENT_LIST_FIELDS).populate(COMMENT_POPULATE).lean()
+        : null;
+      if (page.pinned) {
+        page.total += 1;
+      }
+    }
+    
+    res.json(page);
   } catch (error) {
     console.error('Error fetching comments:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add a comment to a video
-router.post('/:id/comments', authenticate, async (req, res) => {
+// Live comment updates for a video (Server-Sent Events). Signed-in viewers
+// are identified by the same JWT cookie or header as every other request.
+router.get('/:id/comments/stream', optionalAuth, requireScope('videos:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const video = await Video.findById(id, 'user visibility takenDownAt').lean();
+    if (!video || !Video.canView(video, req.user)) {
+      return res.status(404).json({ message: 'Video not found' });
+    }
+    
+    const send = openEventStream(req, res);
+    const leave = joinVideo(id, send);
+    req.on('close', leave);
+  } catch (error) {
+    console.error('Error opening comment stream:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a comment to a video. Replying to a reply keeps the thread two levels
+// deep: the new comment joins the same thread and mentions the reply's author.
+// Comments that match the channel's moderation rules are held for review.
+router.post('/:id/comments', authenticate, requireScope('comments:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { content, parentCommentId } = req.body;
+    const { parentCommentId } = req.body;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
     
     if (!content) {
       return res.status(400).json({ message: 'Comment content is required' });
     }
     
-    // Check if video exists
-    const videoExists = await Video.exists({ _id: id });
-    if (!videoExists) {
+    if (content.length > 1000) {
+      return res.status(400).json({ message: 'Comments must be at most 1000 characters' });
+    }
+    
+    // Check if video exists and is visible to the commenter
+    const video = await Video.findById(id, 'user visibility takenDownAt commentsDisabled').lean();
+    if (!video || !Video.canView(video, req.user)) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
+    const settings = await loadCommentSettings(video.user);
+    if (video.commentsDisabled || settings.disabled) {
+      return res.status(403).json({ message: 'Comments are turned off for this video' });
+    }
+    
+    let parent = null;
+    let replyTo = null;
+    
+    if (parentCommentId) {
+      if (!mongoose.isValidObjectId(parentCommentId)) {
+        return res.status(400).json({ message: 'Invalid parent comment' });
+      }
+      
+      parent = await Comment.findById(parentCommentId, 'user video parentComment status heldReason').lean();
+      if (!parent || !parent.video.equals(video._id) || !Comment.canView(parent, req.user)) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      
+      if (parent.parentComment) {
+        replyTo = parent.user;
+        parent = await Comment.findById(parent.parentComment, 'user video parentComment status heldReason').lean();
+        if (!parent) {
+          return res.status(404).json({ message: 'Parent comment not found' });
+        }
+      }
+    }
+    
+    // The channel's own comments are never held; replies to a held comment
+    // wait along with it
+    let heldReason = null;
+    if (parent && parent.status === 'held') {
+      heldReason = parent.heldReason;
+    } else if (!video.user.equals(req.user._id)) {
+      heldReason = holdReason(content, settings);
+    }
+    
     // Create comment
     const comment = new Comment({
       content,
       user: req.user._id,
       video: id,
-      parentComment: parentCommentId || null
+      parentComment: parent ? parent._id : null,
+      replyTo,
+      status: heldReason ? 'held' : 'published',
+      heldReason
     });
     
     await comment.save();
     
-    // If this is a reply, add it to the parent comment's replies array
-    if (parentCommentId) {
-      await Comment.findByIdAndUpdate(
-        parentCommentId,
-        { $push: { replies: comment._id } }
-      );
-    }
-    
     // Populate user data for response
-    await comment.populate('user', 'username profilePicture');
+    await comment.populate(COMMENT_POPULATE);
+    
+    if (!heldReason) {
+      await announceComment(comment);
+    }
     
     res.status(201).json(comment);
   } catch (error) {
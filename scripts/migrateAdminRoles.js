@@ -0,0 +1,36 @@
+// Converts the old `isAdmin` flag on users into the `admin` role and removes
+// the flag.
+//
+// Usage: node scripts/migrateAdminRoles.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // isAdmin is no longer in the schema, so go through the raw collection
+  const admins = await User.collection.updateMany(
+    { isAdmin: true },
+    { $set: { role: 'admin' }, $unset: { isAdmin: '' } }
+  );
+
+  const others = await User.collection.updateMany(
+    { isAdmin: { $exists: true } },
+    { $unset: { isAdmin: '' } }
+  );
+
+  await User.collection.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'user' } }
+  );
+
+  console.log(`Migrated ${admins.modifiedCount} admin(s), cleaned up ${others.modifiedCount} other user(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
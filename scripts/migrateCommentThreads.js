@@ -0,0 +1,86 @@
+// Flattens comment threads to two levels (replies to replies are moved onto
+// the top-level comment and mention the person they answered), recomputes
+// replyCount and removes the old `replies` arrays. Safe to run more than once.
+//
+// Usage: node scripts/migrateCommentThreads.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // parentComment of every reply, to walk nested threads up to their root
+  const parents = new Map();
+  for await (const reply of Comment.find({ parentComment: { $ne: null } }, 'parentComment').lean().cursor()) {
+    parents.set(reply._id.toString(), reply.parentComment);
+  }
+
+  const rootOf = (id) => {
+    let current = id;
+    const seen = new Set();
+    while (parents.has(current.toString()) && !seen.has(current.toString())) {
+      seen.add(current.toString());
+      current = parents.get(current.toString());
+    }
+    return current;
+  };
+
+  let ops = [];
+  let flattened = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Comment.bulkWrite(ops, { ordered: false });
+    flattened += result.modifiedCount;
+    ops = [];
+  };
+
+  for (const [id, parentId] of parents) {
+    if (!parents.has(parentId.toString())) continue;
+
+    // The parent is itself a reply: join the root's thread and mention its author
+    const parent = await Comment.findById(parentId, 'user').lean();
+    ops.push({
+      updateOne: {
+        filter: { _id: id },
+        update: { parentComment: rootOf(parentId), replyTo: parent ? parent.user : null }
+      }
+    });
+
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Recompute counts from the replies so reruns stay correct
+  const counts = await Comment.aggregate([
+    { $match: { parentComment: { $ne: null } } },
+    { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+  ]);
+
+  await Comment.updateMany({ replyCount: { $ne: 0 } }, { replyCount: 0 });
+  for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+    await Comment.bulkWrite(counts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { replyCount: count } }
+    })));
+  }
+
+  // The arrays are no longer in the schema, so update the raw collection
+  const cleaned = await Comment.collection.updateMany(
+    { replies: { $exists: true } },
+    { $unset: { replies: '' } }
+  );
+
+  console.log(`Flattened ${flattened} nested replies, updated counts for ${counts.length} thread(s), cleaned up ${cleaned.modifiedCount} comment(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,122 @@
+// Moves likes and dislikes from the old `likes`/`dislikes` arrays on videos
+// and comments into the Reaction collection, recomputes the likeCount and
+// dislikeCount totals and removes the arrays. Safe to run more than once.
+//
+// Usage: node scripts/migrateReactions.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { Model: Video, targetType: 'video' },
+  { Model: Comment, targetType: 'comment' }
+];
+
+const ARRAYS_FILTER = { $or: [{ likes: { $exists: true } }, { dislikes: { $exists: true } }] };
+
+const migrateTarget = async ({ Model, targetType }) => {
+  // The arrays are no longer in the schema, so read the raw collection
+  const cursor = Model.collection.find(ARRAYS_FILTER, { projection: { likes: 1, dislikes: 1 } });
+
+  let ops = [];
+  let created = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Reaction.bulkWrite(ops, { ordered: false });
+    created += result.upsertedCount;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    // Someone in both arrays is counted as a like. Existing reactions are
+    // left alone so a rerun doesn't undo changes made since.
+    const dislikers = (doc.dislikes || []).filter(user => !(doc.likes || []).some(liker => liker.equals(user)));
+    const reactions = [
+      ...(doc.likes || []).map(user => ({ user, type: 'like' })),
+      ...dislikers.map(user => ({ user, type: 'dislike' }))
+    ];
+
+    for (const { user, type } of reactions) {
+      const key = { user, targetType, target: doc._id };
+      ops.push({
+        updateOne: {
+          filter: key,
+          update: { $setOnInsert: { ...key, type } },
+          upsert: true
+        }
+      });
+    }
+
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Recompute totals from the collection so reruns stay correct. Each batch
+  // of documents gets its counts $set directly, so no document reads as 0 in
+  // between while the app is running.
+  let updated = 0;
+
+  const setCounts = async (ids) => {
+    const counts = await Reaction.aggregate([
+      { $match: { targetType, target: { $in: ids } } },
+      {
+        $group: {
+          _id: '$target',
+          likeCount: { $sum: { $cond: [{ $eq: ['$type', 'like'] }, 1, 0] } },
+          dislikeCount: { $sum: { $cond: [{ $eq: ['$type', 'dislike'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const byTarget = new Map(counts.map(row => [row._id.toString(), row]));
+
+    const result = await Model.bulkWrite(ids.map(_id => {
+      const row = byTarget.get(_id.toString());
+      return {
+        updateOne: {
+          filter: { _id },
+          update: { $set: { likeCount: row ? row.likeCount : 0, dislikeCount: row ? row.dislikeCount : 0 } }
+        }
+      };
+    }), { ordered: false });
+    updated += result.modifiedCount;
+  };
+
+  let ids = [];
+  for await (const doc of Model.collection.find({}, { projection: { _id: 1 } })) {
+    ids.push(doc._id);
+    if (ids.length >= BATCH_SIZE) {
+      await setCounts(ids);
+      ids = [];
+    }
+  }
+  if (ids.length) {
+    await setCounts(ids);
+  }
+
+  const cleaned = await Model.collection.updateMany(ARRAYS_FILTER, { $unset: { likes: '', dislikes: '' } });
+
+  console.log(`${targetType}: created ${created} reaction(s), updated counts on ${updated} document(s), cleaned up ${cleaned.modifiedCount} document(s)`);
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Reaction.init();
+
+  for (const target of TARGETS) {
+    await migrateTarget(target);
+  }
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+// Fills in the lowercased fields that search suggestions and channel results
+// match against: titleLower and lowercased tags on videos, usernameLower on
+// users. Safe to run more than once.
+//
+// Usage: node scripts/migrateSearchFields.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const User = require('../models/User');
+
+const BATCH_SIZE = 500;
+
+// Run an update for every document of a collection, in batches
+const migrateCollection = async (Model, projection, updateFor) => {
+  const cursor = Model.collection.find({}, { projection });
+
+  let ops = [];
+  let modified = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Model.collection.bulkWrite(ops, { ordered: false });
+    modified += result.modifiedCount;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: updateFor(doc) } } });
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return modified;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const videos = await migrateCollection(Video, { title: 1, tags: 1 }, (doc) => ({
+    titleLower: (doc.title || '').toLowerCase().replace(/\s+/g, ' '),
+    tags: [...new Set((doc.tags || []).map(tag => tag.toLowerCase()))]
+  }));
+  console.log(`Updated ${videos} video(s)`);
+
+  const users = await migrateCollection(User, { username: 1 }, (doc) => ({
+    usernameLower: doc.username.toLowerCase()
+  }));
+  console.log(`Updated ${users} user(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
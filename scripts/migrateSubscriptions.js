@@ -0,0 +1,82 @@
+// Moves subscriptions from the old `subscribers`/`subscribedTo` arrays on
+// users into the Subscription collection, recomputes each channel's
+// subscriberCount and removes the arrays. Safe to run more than once.
+//
+// Usage: node scripts/migrateSubscriptions.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Subscription.init();
+
+  // The arrays are no longer in the schema, so read the raw collection. Both
+  // sides are read in case they drifted apart.
+  const cursor = User.collection.find(
+    { $or: [{ subscribers: { $exists: true } }, { subscribedTo: { $exists: true } }] },
+    { projection: { subscribers: 1, subscribedTo: 1 } }
+  );
+
+  let ops = [];
+  let created = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await Subscription.bulkWrite(ops, { ordered: false });
+    created += result.upsertedCount;
+    ops = [];
+  };
+
+  for await (const user of cursor) {
+    const pairs = [
+      ...(user.subscribedTo || []).map(channel => ({ subscriber: user._id, channel })),
+      ...(user.subscribers || []).map(subscriber => ({ subscriber, channel: user._id }))
+    ];
+
+    for (const pair of pairs) {
+      if (pair.subscriber.equals(pair.channel)) continue;
+      ops.push({
+        updateOne: {
+          filter: pair,
+          update: { $setOnInsert: pair },
+          upsert: true
+        }
+      });
+    }
+
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Recompute counts from the collection so reruns stay correct
+  const counts = await Subscription.aggregate([
+    { $group: { _id: '$channel', count: { $sum: 1 } } }
+  ]);
+
+  await User.updateMany({}, { subscriberCount: 0 });
+  if (counts.length) {
+    await User.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { subscriberCount: count } }
+    })));
+  }
+
+  const cleaned = await User.collection.updateMany(
+    { $or: [{ subscribers: { $exists: true } }, { subscribedTo: { $exists: true } }] },
+    { $unset: { subscribers: '', subscribedTo: '' } }
+  );
+
+  console.log(`Created ${created} subscription(s), updated counts for ${counts.length} channel(s), cleaned up ${cleaned.modifiedCount} user(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,52 @@
+// Moves generated thumbnail candidates out of the public /uploads/thumbnails
+// mount into uploads/candidates and points thumbnailCandidates (and
+// thumbnailUrl where a candidate was chosen) at the access-checked
+// /api/videos/:id/thumbnail-candidates/:file endpoint. Safe to run more than once.
+//
+// Usage: node scripts/migrateThumbnailCandidates.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const { candidatesDir } = require('../services/thumbnailGenerator');
+
+const OLD_ROOT = path.join(__dirname, '../uploads/thumbnails/generated');
+const OLD_URL = /^\/uploads\/thumbnails\/generated\/([0-9a-f]{24})\/([^/]+)$/;
+
+const toNewUrl = (url) => url.replace(OLD_URL, '/api/videos/$1/thumbnail-candidates/$2');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const videos = await Video.find({ thumbnailCandidates: /^\/uploads\/thumbnails\/generated\// });
+  let migrated = 0;
+
+  for (const video of videos) {
+    const oldDir = path.join(OLD_ROOT, video._id.toString());
+    const newDir = candidatesDir(video._id);
+
+    if (fs.existsSync(oldDir)) {
+      await fs.promises.rm(newDir, { recursive: true, force: true });
+      await fs.promises.mkdir(path.dirname(newDir), { recursive: true });
+      await fs.promises.rename(oldDir, newDir);
+    }
+
+    video.thumbnailCandidates = video.thumbnailCandidates.map(toNewUrl);
+    video.thumbnailUrl = toNewUrl(video.thumbnailUrl || '');
+    await video.save();
+    migrated++;
+  }
+
+  // Candidates of videos that no longer exist
+  await fs.promises.rm(OLD_ROOT, { recursive: true, force: true });
+
+  console.log(`Migrated ${migrated} video(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,31 @@
+// Moves file locations of videos uploaded before the streaming endpoint
+// existed from `videoUrl` into `videoPath`, and points `videoUrl` at
+// /api/videos/:id/stream.
+//
+// Usage: node scripts/migrateVideoPaths.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const videos = await Video.find({ videoUrl: /^\/uploads\// }, '+videoPath');
+  let migrated = 0;
+
+  for (const video of videos) {
+    video.videoPath = video.videoPath || video.videoUrl.slice(1);
+    video.videoUrl = `/api/videos/${video._id}/stream`;
+    await video.save();
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} video(s)`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
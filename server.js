@@ -7,19 +7,45 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const path = require('path');
+const { startPublishScheduler } = require('./services/publishScheduler');
+const jobQueue = require('./services/jobQueue');
+const { transcodeHandler } = require('./services/transcoder');
+const { thumbnailHandler } = require('./services/thumbnailGenerator');
+const { startUploadCleanup } = require('./services/resumableUpload');
+const { startRoleRefresh } = require('./services/permissions');
+const { startTrendingRefresh } = require('./services/trending');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const videoRoutes = require('./routes/videos');
 const userRoutes = require('./routes/users');
 const commentRoutes = require('./routes/comments');
+const playlistRoutes = require('./routes/playlists');
+const uploadRoutes = require('./routes/uploads');
+const roleRoutes = require('./routes/roles');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const notificationRoutes = require('./routes/notifications');
+const analyticsRoutes = require('./routes/analytics');
+const reactionRoutes = require('./routes/reactions');
+
+// Register background job handlers
+jobQueue.registerHandler('transcode', transcodeHandler);
+jobQueue.registerHandler('thumbnails', thumbnailHandler);
 
 // Create Express app
 const app = express();
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    startRoleRefresh();
+    startPublishScheduler();
+    jobQueue.start();
+    startUploadCleanup();
+    startTrendingRefresh();
+  })
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -35,14 +61,24 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded images. Video files are only reachable through the
+// authorized /api/videos/:id/stream endpoint.
+app.use('/uploads/thumbnails', express.static(path.join(__dirname, 'uploads/thumbnails')));
+app.use('/uploads/profiles', express.static(path.join(__dirname, 'uploads/profiles')));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/reactions', reactionRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
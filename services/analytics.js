@@ -0,0 +1,72 @@
+const Video = require('../models/Video');
+const VideoDailyStats = require('../models/VideoDailyStats');
+const ChannelDailyStats = require('../models/ChannelDailyStats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of the day containing date
+const dayStart = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Retention slices covered by playback from start to end seconds
+const retentionBuckets = (duration, start, end) => {
+  if (!(duration > 0)) return [];
+
+  const count = VideoDailyStats.RETENTION_BUCKETS;
+  const first = Math.max(0, Math.floor((start / duration) * count));
+  const last = Math.min(count - 1, Math.floor((end / duration) * count));
+
+  const buckets = [];
+  for (let i = first; i <= last; i++) {
+    buckets.push(i);
+  }
+  return buckets;
+};
+
+// Add to today's rollup for a video, e.g. { likes: 1, dislikes: -1 }. Never
+// throws, so producers can call it without awaiting.
+const trackVideo = async (videoId, inc) => {
+  try {
+    const date = dayStart();
+
+    const result = await VideoDailyStats.updateOne({ video: videoId, date }, { $inc: inc });
+    if (result.matchedCount) return;
+
+    // First activity of the day: create the rollup (with its zeroed retention
+    // array) before incrementing it
+    const video = await Video.findById(videoId, 'user').lean();
+    if (!video) return;
+
+    try {
+      await VideoDailyStats.create({ video: videoId, channel: video.user, date });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    await VideoDailyStats.updateOne({ video: videoId, date }, { $inc: inc });
+  } catch (error) {
+    console.error('Error recording video analytics:', error);
+  }
+};
+
+// Add to today's rollup for a channel, e.g. { subscribersGained: 1 }. Never throws.
+const trackChannel = async (channelId, inc) => {
+  try {
+    await ChannelDailyStats.updateOne(
+      { channel: channelId, date: dayStart() },
+      { $inc: inc },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error recording channel analytics:', error);
+  }
+};
+
+module.exports = {
+  DAY,
+  dayStart,
+  retentionBuckets,
+  trackVideo,
+  trackChannel
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+
+const TOKEN_PREFIX = 'tsk_';
+const LAST_USED_RESOLUTION = 60 * 1000; // only record usage once a minute
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Personal access tokens are recognisable by their prefix, unlike JWTs
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// Create a token. Resolves with the raw token (shown to the user once) and the document.
+const createApiToken = async (userId, name, scopes, expiresAt = null) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const apiToken = await ApiToken.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { token, apiToken };
+};
+
+// Find the active token document for a raw token, recording its use
+const findActiveApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('Error recording API token use:', err));
+  }
+
+  return apiToken;
+};
+
+module.exports = {
+  isApiToken,
+  createApiToken,
+  findActiveApiToken
+};
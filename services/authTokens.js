@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const TOKEN_TTL = {
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000 // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token of the given type, replacing any unused ones. Resolves
+// with the raw token to put in the email.
+const issueAuthToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+  });
+
+  return token;
+};
+
+// Mark a token as used. Resolves with the token document, or null if the
+// token is unknown, expired or already used.
+const consumeAuthToken = (token, type) => {
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  issueAuthToken,
+  consumeAuthToken
+};
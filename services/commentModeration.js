@@ -0,0 +1,107 @@
+const Comment = require('../models/Comment');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { broadcast } = require('./liveComments');
+const { trackVideo } = require('./analytics');
+const { escapeRegex } = require('./search');
+
+const MAX_BLOCKED_WORDS = 500;
+
+// URLs and bare domains such as example.com
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+(\.[a-z0-9-]+)*\.(com|net|org|io|co|me|ly|gg|tv|info|biz|xyz|app|dev|link|site|online|shop)\b/i;
+
+const idOf = (ref) => ref && (ref._id || ref);
+
+// The channel's comment settings, with defaults for channels that never set them
+const loadCommentSettings = async (channelId) => {
+  const channel = await User.findById(channelId, 'commentSettings').lean();
+  const settings = (channel && channel.commentSettings) || {};
+
+  return {
+    disabled: !!settings.disabled,
+    holdLinks: !!settings.holdLinks,
+    blockedWords: settings.blockedWords || []
+  };
+};
+
+// Clean up a blocked-word list from a request. Returns { words } or { error }.
+const parseBlockedWords = (input) => {
+  if (!Array.isArray(input) || input.some(word => typeof word !== 'string')) {
+    return { error: 'blockedWords must be an array of strings' };
+  }
+
+  const words = [...new Set(input.map(word => word.trim().toLowerCase()).filter(Boolean))];
+
+  if (words.length > MAX_BLOCKED_WORDS) {
+    return { error: `At most ${MAX_BLOCKED_WORDS} blocked words are allowed` };
+  }
+
+  if (words.some(word => word.length > 50)) {
+    return { error: 'Blocked words must be at most 50 characters' };
+  }
+
+  return { words };
+};
+
+// Why a comment should be held for review under the channel's settings, or
+// null if it can be published straight away
+const holdReason = (content, settings) => {
+  if (settings.holdLinks && LINK_PATTERN.test(content)) {
+    return 'link';
+  }
+
+  const text = content.toLowerCase();
+  const blocked = settings.blockedWords.some(word =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}($|[^\\p{L}\\p{N}])`, 'u').test(text)
+  );
+
+  return blocked ? 'blocked_word' : null;
+};
+
+// Everything that happens when a comment becomes visible to everyone: the
+// thread's reply count, the reply notification, live viewers and analytics.
+// Expects the comment with its user populated.
+const announceComment = async (comment) => {
+  if (comment.parentComment) {
+    const parent = await Comment.findByIdAndUpdate(
+      comment.parentComment,
+      { $inc: { replyCount: 1 } },
+      { projection: { user: 1 } }
+    ).lean();
+
+    if (parent) {
+      notify({
+        recipient: idOf(comment.replyTo) || parent.user,
+        actor: idOf(comment.user),
+        type: 'comment_reply',
+        video: comment.video,
+        comment: comment._id
+      });
+    }
+  }
+
+  broadcast(comment.video, 'comment.created', comment);
+  trackVideo(comment.video, { comments: 1 });
+};
+
+// The reverse of announceComment, for a published comment that is held
+// again. A pinned comment is unpinned.
+const withdrawComment = async (comment) => {
+  if (comment.parentComment) {
+    await Comment.updateOne({ _id: comment.parentComment }, { $inc: { replyCount: -1 } });
+  } else {
+    await Video.updateOne({ _id: comment.video, pinnedComment: comment._id }, { pinnedComment: null });
+  }
+
+  broadcast(comment.video, 'comment.deleted', { _id: comment._id, parentComment: comment.parentComment });
+  trackVideo(comment.video, { comments: -1 });
+};
+
+module.exports = {
+  loadCommentSettings,
+  parseBlockedWords,
+  holdReason,
+  announceComment,
+  withdrawComment
+};
@@ -0,0 +1,27 @@
+const HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+const RETRY_DELAY = 10 * 1000; // how long browsers wait before reconnecting
+
+// Turn a response into a Server-Sent Events stream. Returns send(event, data).
+// Callers clean up their own listeners on req's "close" event.
+const openEventStream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => clearInterval(heartbeat));
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
+
+module.exports = {
+  openEventStream
+};
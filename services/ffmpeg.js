@@ -0,0 +1,68 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run a command and resolve with its stdout; onLine receives stdout line by line
+const run = (command, args, onLine) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+    let buffered = '';
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (!onLine) return;
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(onLine);
+    });
+
+    // Keep only the tail of stderr for error messages
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+  });
+};
+
+// Read dimensions and duration of the first video stream
+const probe = async (inputPath) => {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:format=duration',
+    '-of', 'json',
+    inputPath
+  ]);
+
+  const data = JSON.parse(output);
+  const stream = data.streams && data.streams[0];
+  if (!stream) {
+    throw new Error('No video stream found');
+  }
+
+  return {
+    width: stream.width,
+    height: stream.height,
+    duration: parseFloat(data.format && data.format.duration) || 0
+  };
+};
+
+module.exports = {
+  FFMPEG_PATH,
+  FFPROBE_PATH,
+  run,
+  probe
+};
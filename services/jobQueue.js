@@ -0,0 +1,127 @@
+const Job = require('../models/Job');
+
+const POLL_INTERVAL = 5 * 1000; // 5 seconds
+const LOCK_TIMEOUT = 5 * 60 * 1000; // 5 minutes without a heartbeat
+const HEARTBEAT_INTERVAL = 60 * 1000; // 1 minute
+const RETRY_DELAY = 60 * 1000; // 1 minute, doubled on each attempt
+
+// Handlers by job type: { run(job, reportProgress), failed(job, error, willRetry) }
+const handlers = {};
+
+let timer = null;
+let running = false;
+
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Add a job to the queue
+const enqueue = (type, videoId, options = {}) => {
+  return Job.create({ type, video: videoId, ...options });
+};
+
+// Put a failed job back in the queue with a fresh set of attempts
+const retry = (job) => {
+  job.status = 'queued';
+  job.attempts = 0;
+  job.progress = 0;
+  job.error = null;
+  job.runAt = new Date();
+  job.lockedAt = null;
+  return job.save();
+};
+
+// Atomically claim the next job that is due. Jobs left in "processing" by a
+// crashed worker are picked up again once their lock has expired; running
+// jobs keep theirs fresh with a heartbeat, however long they take.
+const claimNextJob = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  const reportProgress = (progress) => {
+    return Job.updateOne({ _id: job._id }, { progress, lockedAt: new Date() });
+  };
+
+  // Renew the lock while the handler runs so no other worker reclaims the job
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, status: 'processing' }, { lockedAt: new Date() })
+      .catch(error => console.error(`Job ${job._id} heartbeat failed:`, error));
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  try {
+    await handler.run(job, reportProgress);
+
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date();
+    job.error = null;
+    await job.save();
+  } catch (error) {
+    const willRetry = job.attempts < job.maxAttempts;
+    console.error(`Job ${job._id} (${job.type}) failed:`, error);
+
+    job.status = willRetry ? 'queued' : 'failed';
+    job.error = error.message;
+    job.lockedAt = null;
+    job.runAt = new Date(Date.now() + RETRY_DELAY * Math.pow(2, job.attempts - 1));
+    await job.save();
+
+    if (handler.failed) {
+      await handler.failed(job, error, willRetry);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Process due jobs one at a time until the queue is empty
+const processJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job queue error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return timer;
+  processJobs();
+  timer = setInterval(processJobs, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  retry,
+  processJobs,
+  start
+};
@@ -0,0 +1,31 @@
+const { EventEmitter } = require('events');
+
+// One room per video, keyed by video id. Like notifications, this only
+// reaches viewers connected to the current process.
+const rooms = new EventEmitter();
+rooms.setMaxListeners(0);
+
+// Call listener(event, data) for every comment event on a video. Returns a
+// function that leaves the room.
+const joinVideo = (videoId, listener) => {
+  const room = videoId.toString();
+  rooms.on(room, listener);
+  return () => rooms.off(room, listener);
+};
+
+// Send an event to everyone watching a video. Events:
+//   comment.created  the new comment, with user populated
+//   comment.updated  { _id, content, editedAt }
+//   comment.deleted  { _id, parentComment }
+//   comment.likes    { _id, likes, dislikes }
+//   comment.hearted  { _id, heartedAt }, heartedAt null when removed
+//   comment.pinned   { _id } of the newly pinned comment, null when unpinned
+const broadcast = (videoId, event, data) => {
+  if (!videoId) return;
+  rooms.emit(videoId.toString(), event, data);
+};
+
+module.exports = {
+  joinVideo,
+  broadcast
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs');
+
+// Built-in transports. Each takes a message { to, subject, text } and resolves
+// once it has been delivered.
+const transports = {
+  // Print messages to the console (default in development). Bodies carry
+  // sign-in links, so they are left out of production logs.
+  console: async (message) => {
+    const body = process.env.NODE_ENV === 'production' ? '[body not logged in production]' : message.text;
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${body}`);
+  },
+
+  // Write each message to a JSON file in MAIL_DIR (useful for tests)
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '../mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+  }
+};
+
+// Pick the transport named by MAIL_TRANSPORT. A typo or a production server
+// without a configured transport fails at startup instead of quietly
+// printing mail to the console.
+const configuredTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    return transports.console;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(transports, name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"; expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return transports[name];
+};
+
+let transport = configuredTransport();
+
+// Replace the transport, e.g. with one backed by an SMTP or API client
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return transport({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
+};
+
+// Link into the frontend app for a path such as /verify-email?token=...
+const appUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+
+const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please verify your email address by opening this link:\n${appUrl(`/verify-email?token=${token}`)}\n\n` +
+      'The link expires in 24 hours.'
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your account. To choose a new password, open this link:\n${appUrl(`/reset-password?token=${token}`)}\n\n` +
+      'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+  });
+};
+
+const RESOLUTION_MESSAGES = {
+  dismissed: 'After review, our moderators found that it does not break our community guidelines.',
+  removed: 'After review, our moderators removed the reported content.',
+  warned: 'After review, our moderators issued a warning to the person responsible.'
+};
+
+// Tell a reporter how their report was resolved
+const sendReportOutcomeEmail = (user, report) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Update on your report',
+    text: `Hi ${user.username},\n\n` +
+      `Thanks for reporting a ${report.targetType}. ${RESOLUTION_MESSAGES[report.resolution]}`
+  });
+};
+
+// Tell a user a moderator has warned them
+const sendWarningEmail = (user, reason) => {
+  return sendMail({
+    to: user.email,
+    subject: 'You have received a warning',
+    text: `Hi ${user.username},\n\n` +
+      `A moderator has issued a warning on your account:\n${reason}\n\n` +
+      'Repeated violations of our community guidelines may lead to a suspension or ban.'
+  });
+};
+
+module.exports = {
+  transports,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendReportOutcomeEmail,
+  sendWarningEmail
+};
@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const Notification = require('../models/Notification');
+const NotificationMute = require('../models/NotificationMute');
+const Subscription = require('../models/Subscription');
+const Video = require('../models/Video');
+
+const BATCH_SIZE = 1000;
+
+// Repeating these actions (e.g. like, unlike, like) shouldn't stack up
+// unread notifications
+const DEDUPED_TYPES = ['video_like', 'comment_like', 'comment_heart', 'new_subscriber'];
+
+const POPULATE = [
+  { path: 'actor', select: 'username profilePicture' },
+  { path: 'video', select: 'title thumbnailUrl' },
+  { path: 'comment', select: 'content' }
+];
+
+// Live listeners keyed by recipient id. This only reaches streams open on the
+// current process.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Call listener with each new notification for a user. Returns a function
+// that removes the listener.
+const listen = (userId, listener) => {
+  const event = userId.toString();
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+// Push newly created notifications to their recipients' open streams
+const publish = async (notifications) => {
+  if (!notifications.length || !emitter.eventNames().length) return;
+
+  const populated = await Notification.populate(notifications.map(n => n.toObject()), POPULATE);
+  populated.forEach(notification => emitter.emit(notification.recipient.toString(), notification));
+};
+
+// Record a notification for one recipient. Never throws, so producers can
+// call it without awaiting.
+const notify = async ({ recipient, actor, type, video = null, comment = null }) => {
+  try {
+    if (!recipient || recipient.toString() === actor.toString()) return;
+
+    if (await NotificationMute.exists({ user: recipient, channel: actor, mutedTypes: type })) return;
+
+    if (DEDUPED_TYPES.includes(type) &&
+        await Notification.exists({ recipient, actor, type, video, comment, readAt: null })) {
+      return;
+    }
+
+    const notification = await Notification.create({ recipient, actor, type, video, comment });
+    await publish([notification]);
+  } catch (error) {
+    console.error('Error creating notification:', error);
+  }
+};
+
+// Tell a channel's subscribers about a new video. Only fires once per video,
+// and only once it is publicly listed (public, processed, not taken down), so
+// it is safe to call whenever one of those conditions may have changed.
+const notifyNewVideo = async (videoId) => {
+  try {
+    const video = await Video.findOneAndUpdate(
+      { _id: videoId, ...Video.listedFilter(), subscribersNotifiedAt: null },
+      { subscribersNotifiedAt: new Date() },
+      { new: true, projection: 'user' }
+    );
+    if (!video) return;
+
+    const [subscriberIds, mutedIds] = await Promise.all([
+      Subscription.find({ channel: video.user }).distinct('subscriber'),
+      NotificationMute.find({ channel: video.user, mutedTypes: 'new_video' }).distinct('user')
+    ]);
+
+    const muted = new Set(mutedIds.map(id => id.toString()));
+    const recipients = subscriberIds.filter(id => !muted.has(id.toString()));
+
+    for (let i = 0; i < recipients.length; i += BATCH_SIZE) {
+      const notifications = await Notification.insertMany(
+        recipients.slice(i, i + BATCH_SIZE).map(recipient => ({
+          recipient,
+          actor: video.user,
+          type: 'new_video',
+          video: video._id
+        }))
+      );
+      await publish(notifications);
+    }
+  } catch (error) {
+    console.error('Error notifying subscribers:', error);
+  }
+};
+
+module.exports = {
+  listen,
+  notify,
+  notifyNewVideo
+};
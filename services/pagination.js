@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors hold the sort values of the last item on a page. Dates and ObjectIds
+// are tagged so they survive the JSON round trip.
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.isValidObjectId(value.o)) return new mongoose.Types.ObjectId(value.o);
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values.map(encodeValue))).toString('base64url');
+
+// Sort values from a cursor, or null if it is malformed
+const decodeCursor = (cursor, length) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== length) return null;
+    return values.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Append _id as a tiebreaker so every sort is a total order
+const withTiebreaker = (sort) => {
+  if (sort._id) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length ? directions[directions.length - 1] : -1 };
+};
+
+// Filter for the documents that come after the given sort values
+const keysetFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {};
+      fields.slice(0, i).forEach((previous, j) => { clause[previous] = values[j]; });
+      clause[field] = { [sort[field] < 0 ? '$lt' : '$gt']: values[i] };
+      return clause;
+    })
+  };
+};
+
+// Read ?limit and ?cursor. Resolves to { limit, after } or { error }, where
+// after is the decoded sort values (null on the first page).
+const readPageParams = (query, sort, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  if (!query.cursor) {
+    return { limit, after: null };
+  }
+
+  const after = decodeCursor(String(query.cursor), Object.keys(sort).length);
+  if (!after) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { limit, after };
+};
+
+// Build the response envelope from up to limit + 1 sorted documents
+const buildPage = (docs, sort, limit) => {
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(Object.keys(sort).map(field => last[field])) : null,
+    hasMore
+  };
+};
+
+// Keyset-paginate a find. Options:
+//   sort      - sort spec; _id is added as a tiebreaker
+//   select    - projection
+//   populate  - anything Query#populate accepts
+//   total     - also count all matches (first page only, so pick filters
+//               that an index covers)
+//   defaultLimit, maxLimit
+// Resolves to { items, nextCursor, hasMore[, total] } or { error } for a bad cursor.
+const paginate = async (Model, filter, query, options) => {
+  const sort = withTiebreaker(options.sort);
+
+  const { limit, after, error } = readPageParams(query, sort, options);
+  if (error) {
+    return { error };
+  }
+
+  const conditions = after ? { $and: [filter, keysetFilter(sort, after)] } : filter;
+
+  let find = Model.find(conditions, options.select).sort(sort).limit(limit + 1);
+  if (options.populate) {
+    find = find.populate(options.populate);
+  }
+
+  const [docs, total] = await Promise.all([
+    find.lean(),
+    options.total && !after ? Model.countDocuments(filter) : null
+  ]);
+
+  const page = buildPage(docs, sort, limit);
+  if (total !== null) {
+    page.total = total;
+  }
+  return page;
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  withTiebreaker,
+  keysetFilter,
+  readPageParams,
+  buildPage,
+  paginate
+};
@@ -0,0 +1,56 @@
+const Role = require('../models/Role');
+
+const REFRESH_INTERVAL = 60 * 1000; // pick up role changes made by other instances
+
+// Permissions of custom roles by role name, kept in memory so checks are synchronous
+let customRoles = {};
+
+// Reload custom roles from the database
+const loadRoles = async () => {
+  try {
+    const roles = await Role.find({}, 'name permissions').lean();
+    customRoles = roles.reduce((acc, role) => {
+      acc[role.name] = role.permissions;
+      return acc;
+    }, {});
+  } catch (error) {
+    console.error('Error loading roles:', error);
+  }
+};
+
+const startRoleRefresh = () => {
+  loadRoles();
+  const timer = setInterval(loadRoles, REFRESH_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const roleExists = (roleName) => has(Role.BUILT_IN_ROLES, roleName) || has(customRoles, roleName);
+
+const getPermissions = (roleName) => {
+  if (has(Role.BUILT_IN_ROLES, roleName)) return Role.BUILT_IN_ROLES[roleName];
+  if (has(customRoles, roleName)) return customRoles[roleName];
+  return [];
+};
+
+// Whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  return !!user && getPermissions(user.role || 'user').includes(permission);
+};
+
+// Whether a user holds every permission of a role, i.e. doesn't rank below
+// it. Staff may only act on users and roles at or below their own rank.
+const coversRole = (user, roleName) => {
+  return getPermissions(roleName || 'user').every(permission => hasPermission(user, permission));
+};
+
+module.exports = {
+  loadRoles,
+  startRoleRefresh,
+  roleExists,
+  getPermissions,
+  hasPermission,
+  coversRole
+};
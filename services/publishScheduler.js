@@ -0,0 +1,50 @@
+const Video = require('../models/Video');
+const { notifyNewVideo } = require('./notifications');
+
+const CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+// Release scheduled videos with their target visibility once their publish
+// time has passed
+const publishDueVideos = async () => {
+  try {
+    const ids = await Video.find(
+      { visibility: 'private', publishAt: { $lte: new Date() } }
+    ).distinct('_id');
+
+    if (!ids.length) return;
+
+    const result = await Video.updateMany(
+      { _id: { $in: ids }, visibility: 'private' },
+      [{
+        $set: {
+          visibility: { $ifNull: ['$publishVisibility', 'public'] },
+          publishAt: null,
+          publishVisibility: null
+        }
+      }]
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Published ${result.modifiedCount} scheduled video(s)`);
+    }
+
+    for (const id of ids) {
+      await notifyNewVideo(id);
+    }
+  } catch (error) {
+    console.error('Error publishing scheduled videos:', error);
+  }
+};
+
+// Start the periodic check; runs once immediately to catch up after downtime
+const startPublishScheduler = () => {
+  publishDueVideos();
+  const timer = setInterval(publishDueVideos, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishDueVideos,
+  startPublishScheduler
+};
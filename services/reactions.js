@@ -0,0 +1,73 @@
+const Reaction = require('../models/Reaction');
+
+const COUNTERS = { like: 'likeCount', dislike: 'dislikeCount' };
+
+// Move a target's counters from one reaction to another (either may be null)
+// and resolve with the updated { likes, dislikes }
+const adjustCounts = async (Model, target, from, to) => {
+  if (from === to) {
+    return { likes: target.likeCount, dislikes: target.dislikeCount };
+  }
+
+  const inc = {};
+  if (from) inc[COUNTERS[from]] = -1;
+  if (to) inc[COUNTERS[to]] = 1;
+
+  const updated = await Model.findByIdAndUpdate(target._id, { $inc: inc }, {
+    new: true,
+    projection: { likeCount: 1, dislikeCount: 1 }
+  }).lean();
+
+  return {
+    likes: updated ? updated.likeCount : 0,
+    dislikes: updated ? updated.dislikeCount : 0
+  };
+};
+
+// Like or dislike a target, replacing any other reaction the user had. The
+// reaction document is swapped atomically and the counters are adjusted by
+// the difference, so concurrent requests can't miscount. Resolves with
+// { previous, likes, dislikes }, where previous is the replaced reaction type.
+const addReaction = async (Model, targetType, target, userId, type) => {
+  const key = { user: userId, targetType, target: target._id };
+
+  let existing;
+  try {
+    existing = await Reaction.findOneAndUpdate(key, { type }, { upsert: true, new: false }).lean();
+  } catch (error) {
+    // A concurrent request inserted it first; update that document instead
+    if (error.code !== 11000) throw error;
+    existing = await Reaction.findOneAndUpdate(key, { type }, { new: false }).lean();
+  }
+
+  const previous = existing ? existing.type : null;
+  const counts = await adjustCounts(Model, target, previous, type);
+  return { previous, ...counts };
+};
+
+// Remove the user's reaction if it is of the given type. Resolves with
+// { removed, likes, dislikes }.
+const removeReaction = async (Model, targetType, target, userId, type) => {
+  const existing = await Reaction.findOneAndDelete({ user: userId, targetType, target: target._id, type }).lean();
+
+  const counts = await adjustCounts(Model, target, existing ? type : null, null);
+  return { removed: !!existing, ...counts };
+};
+
+// The user's reactions to a set of targets, as { [targetId]: 'like' | 'dislike' }
+const reactionsFor = async (userId, targetType, targetIds) => {
+  if (!targetIds.length) return {};
+
+  const reactions = await Reaction.find(
+    { user: userId, targetType, target: { $in: targetIds } },
+    'target type'
+  ).lean();
+
+  return Object.fromEntries(reactions.map(reaction => [reaction.target.toString(), reaction.type]));
+};
+
+module.exports = {
+  addReaction,
+  removeReaction,
+  reactionsFor
+};
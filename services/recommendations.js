@@ -0,0 +1,321 @@
+const Video = require('../models/Video');
+const History = require('../models/History');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const { DAY } = require('./analytics');
+
+// How much each signal contributes to a candidate's score. Every signal is
+// normalized to 0..1 before weighting.
+const WEIGHTS = {
+  coWatch: 4,       // watched by the same people
+  tags: 3,          // shares tags with the current video
+  affinity: 2,      // matches tags the viewer watches a lot
+  subscription: 2,  // from a channel the viewer subscribes to
+  sameChannel: 1.5, // more from the current video's channel
+  trending: 1.5,
+  category: 1,
+  freshness: 1
+};
+
+const SOURCE_LIMIT = 100;        // candidates taken from each source
+const CO_WATCH_VIEWERS = 500;    // recent viewers sampled for co-watch data
+const CO_WATCH_HISTORY = 50;     // most recent history entries read per sampled viewer
+const HISTORY_SAMPLE = 50;       // recent history entries used for a viewer's taste
+const TOP_AFFINITY_TAGS = 10;
+const SUBSCRIPTION_WINDOW = 30 * DAY;
+const FRESHNESS_HALF_LIFE_DAYS = 7;
+const WATCHED_PENALTY = 0.5;     // started but not finished
+
+// Diversity: each pick from the same channel or category scales the next
+// candidate's score by these factors
+const CHANNEL_REPEAT_PENALTY = 0.6;
+const CATEGORY_REPEAT_PENALTY = 0.85;
+
+const idString = (id) => id.toString();
+
+// Collects candidate video ids with their signal values
+const createCandidates = () => {
+  const signals = new Map();
+
+  const add = (id, signal, value) => {
+    const key = idString(id);
+    if (!signals.has(key)) {
+      signals.set(key, {});
+    }
+    const entry = signals.get(key);
+    entry[signal] = Math.max(entry[signal] || 0, value);
+  };
+
+  // Add { id, value } rows with values normalized by the largest one
+  const addScored = (rows, signal) => {
+    const max = Math.max(0, ...rows.map(row => row.value));
+    if (!max) return;
+    rows.forEach(row => add(row.id, signal, row.value / max));
+  };
+
+  return {
+    add,
+    addScored,
+    ids: () => [...signals.keys()],
+    get: (id) => signals.get(idString(id)) || {}
+  };
+};
+
+// What we know about a signed-in viewer's taste. Null for anonymous viewers.
+const loadViewerContext = async (user) => {
+  if (!user) return null;
+
+  const [history, channelIds] = await Promise.all([
+    History.find({ user: user._id })
+      .sort({ watchedAt: -1 })
+      .limit(HISTORY_SAMPLE)
+      .populate('video', 'tags')
+      .lean(),
+    Subscription.find({ subscriber: user._id }).distinct('channel')
+  ]);
+
+  // Entries whose video has been deleted have nothing to contribute
+  const watched = history.filter(entry => entry.video);
+
+  const tagCounts = {};
+  watched.forEach(entry => {
+    (entry.video.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      tagCounts[key] = (tagCounts[key] || 0) + 1;
+    });
+  });
+
+  const topTags = Object.entries(tagCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_AFFINITY_TAGS);
+
+  return {
+    userId: user._id,
+    completed: new Set(watched.filter(entry => entry.completed).map(entry => idString(entry.video._id))),
+    started: new Set(watched.filter(entry => !entry.completed).map(entry => idString(entry.video._id))),
+    recentVideoIds: watched.slice(0, 10).map(entry => entry.video._id),
+    channelIds: new Set(channelIds.map(idString)),
+    channelObjectIds: channelIds,
+    tagAffinity: Object.fromEntries(topTags),
+    maxAffinity: topTags.length ? topTags[0][1] : 0
+  };
+};
+
+// Videos watched by people who also watched the seed videos, by how many of them
+const coWatched = async (seedIds, excludeUserId) => {
+  if (!seedIds.length) return [];
+
+  const viewers = await History.aggregate([
+    { $match: { video: { $in: seedIds } } },
+    { $sort: { watchedAt: -1 } },
+    { $limit: CO_WATCH_VIEWERS },
+    { $group: { _id: '$user' } }
+  ]);
+
+  const userIds = viewers
+    .map(viewer => viewer._id)
+    .filter(id => !excludeUserId || idString(id) !== idString(excludeUserId));
+  if (!userIds.length) return [];
+
+  // Only each viewer's most recent entries, read through the
+  // { user, watchedAt } index, so heavy watchers don't make this unbounded
+  const rows = await User.aggregate([
+    { $match: { _id: { $in: userIds } } },
+    {
+      $lookup: {
+        from: History.collection.name,
+        let: { userId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$user', '$$userId'] } } },
+          { $sort: { watchedAt: -1 } },
+          { $limit: CO_WATCH_HISTORY },
+          { $project: { video: 1 } }
+        ],
+        as: 'recent'
+      }
+    },
+    { $unwind: '$recent' },
+    { $match: { 'recent.video': { $nin: seedIds } } },
+    { $group: { _id: '$recent.video', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: SOURCE_LIMIT }
+  ]);
+
+  return rows.map(row => ({ id: row._id, value: row.count }));
+};
+
+// Listed videos matching a filter, as ids
+const listedIds = async (filter, sort) => {
+  const videos = await Video.find({ ...Video.listedFilter(), ...filter }, '_id')
+    .sort(sort)
+    .limit(SOURCE_LIMIT)
+    .lean();
+  return videos.map(video => video._id);
+};
+
+// Sources shared by the watch page and the home feed
+const addViewerSources = async (candidates, context) => {
+  if (!context) return;
+
+  const affinityTags = Object.keys(context.tagAffinity);
+
+  const [subscribed, affinity] = await Promise.all([
+    context.channelObjectIds.length
+      ? listedIds(
+        { user: { $in: context.channelObjectIds }, createdAt: { $gte: new Date(Date.now() - SUBSCRIPTION_WINDOW) } },
+        { createdAt: -1 }
+      )
+      : [],
+    affinityTags.length ? listedIds({ tags: { $in: affinityTags } }, { trendingScore: -1, views: -1 }) : []
+  ]);
+
+  subscribed.forEach(id => candidates.add(id, 'subscription', 1));
+  affinity.forEach(id => candidates.add(id, 'affinity', 0));
+};
+
+const freshness = (createdAt) => {
+  const ageDays = (Date.now() - new Date(createdAt)) / DAY;
+  return Math.pow(0.5, Math.max(0, ageDays) / FRESHNESS_HALF_LIFE_DAYS);
+};
+
+// Share of the viewer's favourite tags a video carries
+const affinityScore = (video, context) => {
+  if (!context || !context.maxAffinity) return 0;
+  const total = (video.tags || []).reduce((sum, tag) => sum + (context.tagAffinity[tag.toLowerCase()] || 0), 0);
+  return Math.min(1, total / context.maxAffinity);
+};
+
+// Load candidate videos, score them and pick a diverse top list
+const rank = async (candidates, { context, exclude = [], excludeChannel = null, limit }) => {
+  const excluded = new Set(exclude.map(idString));
+  if (context) {
+    context.completed.forEach(id => excluded.add(id));
+  }
+
+  const ids = candidates.ids().filter(id => !excluded.has(id));
+  if (!ids.length) return [];
+
+  const filter = { ...Video.listedFilter(), _id: { $in: ids } };
+  if (excludeChannel) {
+    filter.user = { $ne: excludeChannel };
+  }
+
+  const videos = await Video.find(filter)
+    .populate('user', 'username profilePicture')
+    .lean();
+
+  const maxTrending = Math.max(0, ...videos.map(video => video.trendingScore || 0));
+
+  const scored = videos.map(video => {
+    const signals = {
+      ...candidates.get(video._id),
+      trending: maxTrending ? (video.trendingScore || 0) / maxTrending : 0,
+      freshness: freshness(video.createdAt)
+    };
+
+    if (context) {
+      signals.affinity = affinityScore(video, context);
+      if (video.user && context.channelIds.has(idString(video.user._id))) {
+        signals.subscription = 1;
+      }
+    }
+
+    let score = Object.entries(signals).reduce((sum, [signal, value]) => sum + (WEIGHTS[signal] || 0) * value, 0);
+    if (context && context.started.has(idString(video._id))) {
+      score *= WATCHED_PENALTY;
+    }
+
+    return { video, score };
+  });
+
+  // Greedy selection: repeatedly take the best candidate after penalizing
+  // channels and categories already picked
+  const picked = [];
+  const channelCounts = {};
+  const categoryCounts = {};
+
+  while (picked.length < limit && scored.length) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    scored.forEach((candidate, i) => {
+      const channel = candidate.video.user ? idString(candidate.video.user._id) : '';
+      const adjusted = candidate.score *
+        Math.pow(CHANNEL_REPEAT_PENALTY, channelCounts[channel] || 0) *
+        Math.pow(CATEGORY_REPEAT_PENALTY, categoryCounts[candidate.video.category] || 0);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = i;
+      }
+    });
+
+    const [{ video }] = scored.splice(bestIndex, 1);
+    const channel = video.user ? idString(video.user._id) : '';
+    channelCounts[channel] = (channelCounts[channel] || 0) + 1;
+    categoryCounts[video.category] = (categoryCounts[video.category] || 0) + 1;
+    picked.push(video);
+  }
+
+  return picked;
+};
+
+// Videos to show next to a video on its watch page
+const recommendForVideo = async (video, user, limit = 15) => {
+  const context = await loadViewerContext(user);
+  const candidates = createCandidates();
+
+  const tags = video.tags || [];
+
+  const [tagMatches, coWatch, sameCategory, sameChannel, trending] = await Promise.all([
+    tags.length
+      ? Video.find({ ...Video.listedFilter(), _id: { $ne: video._id }, tags: { $in: tags } }, 'tags')
+        .sort({ trendingScore: -1, views: -1 })
+        .limit(SOURCE_LIMIT)
+        .lean()
+      : [],
+    coWatched([video._id], user && user._id),
+    listedIds({ category: video.category }, { trendingScore: -1, views: -1 }),
+    listedIds({ user: video.user }, { createdAt: -1 }),
+    listedIds({ trendingScore: { $gt: 0 } }, { trendingScore: -1 })
+  ]);
+
+  const tagSet = new Set(tags.map(tag => tag.toLowerCase()));
+  tagMatches.forEach(match => {
+    const overlap = match.tags.filter(tag => tagSet.has(tag.toLowerCase())).length;
+    candidates.add(match._id, 'tags', overlap / Math.max(tagSet.size, 1));
+  });
+  candidates.addScored(coWatch, 'coWatch');
+  sameCategory.forEach(id => candidates.add(id, 'category', 1));
+  sameChannel.forEach(id => candidates.add(id, 'sameChannel', 1));
+  trending.forEach(id => candidates.add(id, 'trending', 0));
+
+  await addViewerSources(candidates, context);
+
+  return rank(candidates, { context, exclude: [video._id], limit });
+};
+
+// Personalized home feed. Anonymous viewers get trending and fresh videos.
+const recommendHome = async (user, limit = 30) => {
+  const context = await loadViewerContext(user);
+  const candidates = createCandidates();
+
+  const [trending, fresh, coWatch] = await Promise.all([
+    listedIds({ trendingScore: { $gt: 0 } }, { trendingScore: -1 }),
+    listedIds({}, { createdAt: -1 }),
+    context ? coWatched(context.recentVideoIds, context.userId) : []
+  ]);
+
+  trending.forEach(id => candidates.add(id, 'trending', 0));
+  fresh.forEach(id => candidates.add(id, 'freshness', 0));
+  candidates.addScored(coWatch, 'coWatch');
+
+  await addViewerSources(candidates, context);
+
+  // Don't recommend the viewer's own uploads
+  return rank(candidates, { context, excludeChannel: user ? user._id : null, limit });
+};
+
+module.exports = {
+  recommendForVideo,
+  recommendHome
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const fs = require('fs');
+const UploadSession = require('../models/UploadSession');
+
+const PARTIAL_DIR = path.join(__dirname, '../uploads/partial');
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours since the last chunk
+const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+if (!fs.existsSync(PARTIAL_DIR)) {
+  fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+}
+
+// Location of the partial file for an upload session
+const partPath = (sessionId) => path.join(PARTIAL_DIR, `${sessionId}.part`);
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL);
+
+// Delete partial files of sessions nobody has touched before their expiry
+const expireAbandonedUploads = async () => {
+  try {
+    const sessions = await UploadSession.find(
+      { status: 'active', expiresAt: { $lte: new Date() } },
+      '_id'
+    ).lean();
+
+    for (const session of sessions) {
+      await fs.promises.rm(partPath(session._id), { force: true });
+      await UploadSession.updateOne({ _id: session._id }, { status: 'expired' });
+    }
+
+    if (sessions.length > 0) {
+      console.log(`Expired ${sessions.length} abandoned upload(s)`);
+    }
+  } catch (error) {
+    console.error('Error expiring abandoned uploads:', error);
+  }
+};
+
+const startUploadCleanup = () => {
+  expireAbandonedUploads();
+  const timer = setInterval(expireAbandonedUploads, CLEANUP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  partPath,
+  nextExpiry,
+  expireAbandonedUploads,
+  startUploadCleanup
+};
@@ -0,0 +1,232 @@
+const Video = require('../models/Video');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const SearchQuery = require('../models/SearchQuery');
+const { withTiebreaker, keysetFilter, readPageParams, buildPage } = require('./pagination');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Sort modes and the field each one orders by (descending)
+const SORTS = {
+  relevance: 'score',
+  date: 'createdAt',
+  views: 'views',
+  rating: 'rating'
+};
+
+// Duration buckets in seconds
+const DURATIONS = {
+  short: { $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 }
+};
+
+const UPLOAD_DATES = {
+  hour: HOUR,
+  today: DAY,
+  week: 7 * DAY,
+  month: 30 * DAY,
+  year: 365 * DAY
+};
+
+const RELATED_LIMIT = 5; // channels and playlists shown with the first page
+const SUGGESTION_LIMIT = 10;
+const SUGGESTION_MIN_COUNT = 5; // searches needed before a query is suggested to others
+const MAX_QUERY_LENGTH = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercased, trimmed, single-spaced form of a query
+const normalizeQuery = (q) => q.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+
+// Build the video filter from query parameters. Returns { filter } or { error }.
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.category) {
+    filter.category = query.category;
+  }
+
+  if (query.duration) {
+    if (!DURATIONS[query.duration]) {
+      return { error: `duration must be one of: ${Object.keys(DURATIONS).join(', ')}` };
+    }
+    filter.duration = DURATIONS[query.duration];
+  }
+
+  if (query.uploadDate) {
+    if (!UPLOAD_DATES[query.uploadDate]) {
+      return { error: `uploadDate must be one of: ${Object.keys(UPLOAD_DATES).join(', ')}` };
+    }
+    filter.createdAt = { $gte: new Date(Date.now() - UPLOAD_DATES[query.uploadDate]) };
+  } else if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return { error: 'from and to must be valid dates' };
+    }
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  if (query.tags) {
+    // Tags are stored lowercased
+    const tags = query.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tags.length) {
+      filter.tags = { $all: tags };
+    }
+  }
+
+  return { filter };
+};
+
+// Search listed videos. Resolves with a page envelope or { error }.
+const searchVideos = async (q, query) => {
+  const field = SORTS[query.sort || 'relevance'];
+  if (!field) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  const { filter, error: filterError } = buildFilter(query);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const sort = withTiebreaker({ [field]: -1 });
+  const { limit, after, error } = readPageParams(query, sort, { maxLimit: 50 });
+  if (error) {
+    return { error };
+  }
+
+  const pipeline = [
+    { $match: { ...Video.listedFilter(), ...filter, $text: { $search: q } } },
+    {
+      $addFields: {
+        score: { $meta: 'textScore' },
+        // Smoothed like ratio so a single like doesn't outrank thousands
+        rating: {
+          $divide: [
+            { $add: [{ $ifNull: ['$likeCount', 0] }, 1] },
+            { $add: [{ $ifNull: ['$likeCount', 0] }, { $ifNull: ['$dislikeCount', 0] }, 2] }
+          ]
+        }
+      }
+    }
+  ];
+
+  if (after) {
+    pipeline.push({ $match: keysetFilter(sort, after) });
+  }
+
+  pipeline.push(
+    { $sort: sort },
+    { $limit: limit + 1 },
+    { $project: { videoPath: 0 } }
+  );
+
+  const results = await Video.aggregate(pipeline);
+  await Video.populate(results, { path: 'user', select: 'username profilePicture' });
+
+  return buildPage(results, sort, limit);
+};
+
+// Channels whose name starts with the query and public playlists matching
+// it, shown alongside videos
+const searchRelated = async (q) => {
+  // Anchored and case-sensitive on the lowercased name, so it can use the index
+  const pattern = new RegExp(`^${escapeRegex(normalizeQuery(q))}`);
+
+  const [channels, playlists] = await Promise.all([
+    User.find({ usernameLower: pattern, bannedAt: null }, 'username profilePicture bio subscriberCount')
+      .sort({ subscriberCount: -1 })
+      .limit(RELATED_LIMIT)
+      .lean(),
+    Playlist.find(
+      { $text: { $search: q }, visibility: 'public', isWatchLater: { $ne: true } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(RELATED_LIMIT)
+      .populate('user', 'username profilePicture')
+      .lean()
+  ]);
+
+  return {
+    channels,
+    playlists: playlists.map(({ videos, ...playlist }) => ({ ...playlist, videoCount: videos.length }))
+  };
+};
+
+// Count a query towards the popular-query suggestions. Never throws.
+const recordQuery = async (q) => {
+  try {
+    const query = normalizeQuery(q);
+    if (!query) return;
+
+    await SearchQuery.updateOne(
+      { query },
+      { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error recording search query:', error);
+  }
+};
+
+// Autocomplete suggestions for a prefix, from popular queries, video titles
+// and tags. Queries only show up once enough searches have been made for
+// them, so one person's searches aren't shown to everyone.
+const suggest = async (prefix) => {
+  const normalized = normalizeQuery(prefix);
+  if (!normalized) return [];
+
+  // Queries, titleLower and tags are all stored lowercased, so these anchored
+  // case-sensitive matches can use their indexes
+  const pattern = new RegExp(`^${escapeRegex(normalized)}`);
+
+  const [queries, titles, tags] = await Promise.all([
+    SearchQuery.find({ query: pattern, count: { $gte: SUGGESTION_MIN_COUNT } }, 'query')
+      .sort({ count: -1 })
+      .limit(SUGGESTION_LIMIT)
+      .lean(),
+    Video.find({ ...Video.listedFilter(), titleLower: pattern }, 'title')
+      .sort({ views: -1 })
+      .limit(SUGGESTION_LIMIT)
+      .lean(),
+    Video.aggregate([
+      { $match: { ...Video.listedFilter(), tags: pattern } },
+      { $unwind: '$tags' },
+      { $match: { tags: pattern } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: SUGGESTION_LIMIT }
+    ])
+  ]);
+
+  const seen = new Set();
+  const suggestions = [];
+  [
+    ...queries.map(row => row.query),
+    ...titles.map(row => row.title),
+    ...tags.map(row => row._id)
+  ].forEach(text => {
+    const key = text.toLowerCase();
+    if (!seen.has(key) && suggestions.length < SUGGESTION_LIMIT) {
+      seen.add(key);
+      suggestions.push(text);
+    }
+  });
+
+  return suggestions;
+};
+
+module.exports = {
+  escapeRegex,
+  searchVideos,
+  searchRelated,
+  recordQuery,
+  suggest
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+};
+
+const cookieOptions = (maxAge, extra = {}) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  maxAge,
+  ...extra
+});
+
+// Set the access and refresh token cookies for a session
+const setAuthCookies = (res, session, refreshToken) => {
+  const accessToken = jwt.sign(
+    { id: session.user, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(ACCESS_TOKEN_TTL / 1000) }
+  );
+
+  res.cookie('jwt', accessToken, cookieOptions(ACCESS_TOKEN_TTL));
+  res.cookie('refreshToken', refreshToken, cookieOptions(REFRESH_TOKEN_TTL, { path: '/api/auth' }));
+
+  return accessToken;
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('jwt');
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+// Start a new session for a user signing in and set its cookies
+const createSession = async (user, req, res) => {
+  const session = new Session({
+    user: user._id,
+    tokenHash: 'pending',
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setAuthCookies(res, session, refreshToken);
+  return session;
+};
+
+// Exchange a refresh token for a new token pair. Presenting a token that was
+// already rotated away means it was stolen, so the whole session is revoked.
+// Resolves with the session, or null if the token is not accepted.
+const rotateSession = async (refreshToken, req, res) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (session.tokenHash !== tokenHash) {
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      await revokeSession(session._id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  const nextToken = generateRefreshToken(session._id);
+  const nextHash = hashToken(nextToken);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: nextHash,
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    return null;
+  }
+
+  setAuthCookies(res, rotated, nextToken);
+  return rotated;
+};
+
+const revokeSession = (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Sign a user out of every device and revoke their API tokens
+const revokeAllAccess = async (userId, reason) => {
+  await revokeAllSessions(userId, reason);
+  await ApiToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// The session a sign-out request comes from, identified by its refresh token
+// or, failing that, its access token (which may have expired). Both are
+// checked, so knowing a session id alone can't sign anyone out. Resolves with
+// the session id, or null.
+const sessionFromTokens = async (refreshToken, accessToken) => {
+  if (refreshToken) {
+    const [sessionId] = String(refreshToken).split('.');
+    if (sessionId && mongoose.isValidObjectId(sessionId)) {
+      const session = await Session.findOne({ _id: sessionId, tokenHash: hashToken(String(refreshToken)) }, '_id').lean();
+      if (session) return session._id;
+    }
+  }
+
+  if (accessToken) {
+    try {
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+      if (decoded.sid && mongoose.isValidObjectId(decoded.sid)) {
+        const session = await Session.findOne({ _id: decoded.sid, user: decoded.id }, '_id').lean();
+        if (session) return session._id;
+      }
+    } catch (error) {
+      // Not a token we issued
+    }
+  }
+
+  return null;
+};
+
+// Find the active session an access token belongs to
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  return session && session.isActive() ? session : null;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeAllAccess,
+  findActiveSession,
+  sessionFromTokens,
+  clearAuthCookies
+};
@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs');
+const Video = require('../models/Video');
+const { FFMPEG_PATH, run, probe } = require('./ffmpeg');
+
+// Outside the public /uploads/thumbnails mount; candidates are served through
+// /api/videos/:id/thumbnail-candidates/:file, which checks access to the video
+const CANDIDATES_ROOT = path.join(__dirname, '../uploads/candidates');
+const STORYBOARD_ROOT = path.join(__dirname, '../uploads/storyboards');
+
+// Candidate thumbnails are taken at these fractions of the video's length
+const CANDIDATE_POSITIONS = [0.25, 0.5, 0.75];
+const CANDIDATE_FILES = CANDIDATE_POSITIONS.map((position, i) => `candidate-${i + 1}.jpg`);
+
+// Storyboard frames are tiled into a single sprite sheet
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const TILE_COLUMNS = 10;
+const MAX_FRAMES = 100;
+const MIN_INTERVAL = 2; // seconds between frames
+
+// Directory holding the generated thumbnail candidates of a video
+const candidatesDir = (videoId) => path.join(CANDIDATES_ROOT, videoId.toString());
+
+// Directory holding the storyboard of a video
+const storyboardDir = (videoId) => path.join(STORYBOARD_ROOT, videoId.toString());
+
+// Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+const vttTime = (seconds) => {
+  const date = new Date(Math.round(seconds * 1000));
+  return date.toISOString().slice(11, 23);
+};
+
+// Without a known duration every position would be 0, so only the first
+// frame is taken
+const extractCandidates = async (inputPath, videoId, duration) => {
+  const outputDir = candidatesDir(videoId);
+  await fs.promises.rm(outputDir, { recursive: true, force: true });
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const count = duration > 0 ? CANDIDATE_POSITIONS.length : 1;
+  const urls = [];
+  for (let i = 0; i < count; i++) {
+    const filename = CANDIDATE_FILES[i];
+    await run(FFMPEG_PATH, [
+      '-y',
+      '-ss', String(duration > 0 ? duration * CANDIDATE_POSITIONS[i] : 0),
+      '-i', inputPath,
+      '-frames:v', '1',
+      '-vf', 'scale=1280:-2',
+      '-q:v', '3',
+      path.join(outputDir, filename)
+    ]);
+    urls.push(`/api/videos/${videoId}/thumbnail-candidates/${filename}`);
+  }
+
+  return urls;
+};
+
+const buildStoryboard = async (inputPath, videoId, duration) => {
+  const outputDir = storyboardDir(videoId);
+  await fs.promises.rm(outputDir, { recursive: true, force: true });
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const interval = Math.max(MIN_INTERVAL, Math.ceil(duration / MAX_FRAMES));
+  const frameCount = Math.min(MAX_FRAMES, Math.max(1, Math.ceil(duration / interval)));
+  const rows = Math.ceil(frameCount / TILE_COLUMNS);
+
+  await run(FFMPEG_PATH, [
+    '-y',
+    '-i', inputPath,
+    '-vf', [
+      `fps=1/${interval}`,
+      `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+      `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+      `tile=${TILE_COLUMNS}x${rows}`
+    ].join(','),
+    '-frames:v', '1',
+    '-q:v', '5',
+    path.join(outputDir, 'sprite.jpg')
+  ]);
+
+  // Each cue points at one tile of the sprite via a media fragment
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < frameCount; i++) {
+    const x = (i % TILE_COLUMNS) * TILE_WIDTH;
+    const y = Math.floor(i / TILE_COLUMNS) * TILE_HEIGHT;
+    lines.push(`${vttTime(i * interval)} --> ${vttTime(Math.min((i + 1) * interval, duration))}`);
+    lines.push(`sprite.jpg#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`);
+    lines.push('');
+  }
+
+  await fs.promises.writeFile(path.join(outputDir, 'storyboard.vtt'), lines.join('\n'));
+
+  return `/api/videos/${videoId}/storyboard/storyboard.vtt`;
+};
+
+// Job handler that extracts thumbnail candidates and the seek-preview storyboard
+const thumbnailHandler = {
+  async run(job, reportProgress) {
+    const video = await Video.findById(job.video).select('+videoPath');
+    if (!video) {
+      throw new Error('Video no longer exists');
+    }
+
+    const inputPath = path.resolve(__dirname, '..', video.videoPath);
+    const { duration } = await probe(inputPath);
+
+    const thumbnailCandidates = await extractCandidates(inputPath, video._id, duration);
+    await reportProgress(50);
+
+    // A storyboard needs a duration to space its frames and cues
+    const storyboardUrl = duration > 0 ? await buildStoryboard(inputPath, video._id, duration) : null;
+
+    await Video.updateOne({ _id: video._id }, { thumbnailCandidates, storyboardUrl });
+
+    // Use the middle frame unless the creator has set a thumbnail meanwhile
+    await Video.updateOne(
+      { _id: video._id, thumbnailUrl: '' },
+      { thumbnailUrl: thumbnailCandidates[Math.floor(thumbnailCandidates.length / 2)] }
+    );
+  }
+};
+
+module.exports = {
+  CANDIDATE_FILES,
+  candidatesDir,
+  storyboardDir,
+  thumbnailHandler
+};
@@ -0,0 +1,152 @@
+const path = require('path');
+const fs = require('fs');
+const Video = require('../models/Video');
+const { FFMPEG_PATH, run, probe } = require('./ffmpeg');
+const { notifyNewVideo } = require('./notifications');
+
+const HLS_ROOT = path.join(__dirname, '../uploads/hls');
+const SEGMENT_DURATION = 6; // seconds
+
+// Output renditions, lowest first. Renditions taller than the source are skipped.
+const RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+// Directory holding the HLS output of a video
+const hlsDir = (videoId) => path.join(HLS_ROOT, videoId.toString());
+
+const selectRenditions = (sourceHeight) => {
+  const renditions = RENDITIONS.filter(r => r.height <= sourceHeight);
+  return renditions.length ? renditions : [RENDITIONS[0]];
+};
+
+// Even output width for a rendition that keeps the source aspect ratio
+const scaledWidth = (source, height) => {
+  return Math.round((source.width * height) / source.height / 2) * 2;
+};
+
+const transcodeRendition = (inputPath, outputDir, rendition, duration, onProgress) => {
+  const args = [
+    '-y',
+    '-i', inputPath,
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-b:v', `${rendition.videoBitrate}k`,
+    '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rendition.videoBitrate * 2}k`,
+    '-g', '48',
+    '-keyint_min', '48',
+    '-sc_threshold', '0',
+    '-c:a', 'aac',
+    '-b:a', `${rendition.audioBitrate}k`,
+    '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_DURATION),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts'),
+    '-progress', 'pipe:1',
+    '-nostats',
+    path.join(outputDir, 'index.m3u8')
+  ];
+
+  return run(FFMPEG_PATH, args, (line) => {
+    // out_time_ms is reported in microseconds
+    const match = line.match(/^out_time_ms=(\d+)/);
+    if (match && duration > 0) {
+      onProgress(Math.min(parseInt(match[1], 10) / 1e6 / duration, 1));
+    }
+  });
+};
+
+const writeMasterPlaylist = (outputDir, source, renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach((rendition) => {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    const resolution = `${scaledWidth(source, rendition.height)}x${rendition.height}`;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution}`);
+    lines.push(`${rendition.name}/index.m3u8`);
+  });
+
+  return fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), lines.join('\n') + '\n');
+};
+
+// Job handler that transcodes an uploaded video into HLS renditions
+const transcodeHandler = {
+  async run(job, reportProgress) {
+    const video = await Video.findById(job.video).select('+videoPath');
+    if (!video) {
+      throw new Error('Video no longer exists');
+    }
+
+    const inputPath = path.resolve(__dirname, '..', video.videoPath);
+    const outputDir = hlsDir(video._id);
+
+    await Video.updateOne(
+      { _id: video._id },
+      { processingStatus: 'processing', processingProgress: 0, processingError: null }
+    );
+
+    const source = await probe(inputPath);
+    const renditions = selectRenditions(source.height);
+
+    // Start from a clean directory so retries don't mix old segments in
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+
+    let lastReported = 0;
+    const updateProgress = (fraction) => {
+      const progress = Math.floor(fraction * 100);
+      if (progress <= lastReported) return;
+      lastReported = progress;
+      return Promise.all([
+        reportProgress(progress),
+        Video.updateOne({ _id: video._id }, { processingProgress: progress })
+      ]).catch(err => console.error('Error reporting transcode progress:', err));
+    };
+
+    for (let i = 0; i < renditions.length; i++) {
+      const renditionDir = path.join(outputDir, renditions[i].name);
+      await fs.promises.mkdir(renditionDir, { recursive: true });
+
+      await transcodeRendition(inputPath, renditionDir, renditions[i], source.duration, (fraction) => {
+        updateProgress((i + fraction) / renditions.length);
+      });
+    }
+
+    await writeMasterPlaylist(outputDir, source, renditions);
+
+    await Video.updateOne(
+      { _id: video._id },
+      {
+        processingStatus: 'ready',
+        processingProgress: 100,
+        processingError: null,
+        hlsUrl: `/api/videos/${video._id}/hls/master.m3u8`,
+        renditions: renditions.map(r => r.name),
+        ...(!video.duration && source.duration && { duration: source.duration })
+      }
+    );
+
+    await notifyNewVideo(video._id);
+  },
+
+  async failed(job, error, willRetry) {
+    await Video.updateOne(
+      { _id: job.video },
+      {
+        processingStatus: willRetry ? 'queued' : 'failed',
+        processingError: error.message
+      }
+    );
+  }
+};
+
+module.exports = {
+  HLS_ROOT,
+  hlsDir,
+  transcodeHandler
+};
@@ -0,0 +1,92 @@
+const Video = require('../models/Video');
+const VideoDailyStats = require('../models/VideoDailyStats');
+const { DAY, dayStart } = require('./analytics');
+
+const REFRESH_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const MAX_AGE = 7 * DAY; // only videos uploaded this recently can trend
+const VELOCITY_DAYS = 2; // engagement counted over today and the previous days
+
+// Engagement weights; likes and comments signal more interest than a view
+const WEIGHTS = { views: 1, likes: 2, comments: 4 };
+
+// How fast scores fall off with age, and the head start new videos get so
+// they aren't ranked by their first few views alone
+const GRAVITY = 1.5;
+const AGE_OFFSET_HOURS = 2;
+
+// Time-decayed score from recent engagement and the video's age
+const trendingScore = (engagement, createdAt, now) => {
+  const points = Math.max(0,
+    engagement.views * WEIGHTS.views +
+    engagement.likes * WEIGHTS.likes +
+    engagement.comments * WEIGHTS.comments
+  );
+  const ageHours = Math.max(0, (now - createdAt) / (60 * 60 * 1000));
+  return points / Math.pow(ageHours + AGE_OFFSET_HOURS, GRAVITY);
+};
+
+// Recompute and store trendingScore for recent public videos and reset it
+// for everything else
+const refreshTrendingScores = async () => {
+  try {
+    const now = new Date();
+
+    const candidates = await Video.find(
+      { ...Video.listedFilter(), createdAt: { $gte: new Date(now.getTime() - MAX_AGE) } },
+      'createdAt'
+    ).lean();
+
+    const engagement = await VideoDailyStats.aggregate([
+      {
+        $match: {
+          video: { $in: candidates.map(video => video._id) },
+          date: { $gte: new Date(dayStart(now).getTime() - (VELOCITY_DAYS - 1) * DAY) }
+        }
+      },
+      {
+        $group: {
+          _id: '$video',
+          views: { $sum: '$views' },
+          likes: { $sum: '$likes' },
+          comments: { $sum: '$comments' }
+        }
+      }
+    ]);
+    const engagementById = Object.fromEntries(engagement.map(row => [row._id.toString(), row]));
+
+    const scored = candidates
+      .map(video => ({
+        _id: video._id,
+        score: engagementById[video._id.toString()]
+          ? trendingScore(engagementById[video._id.toString()], video.createdAt, now)
+          : 0
+      }))
+      .filter(video => video.score > 0);
+
+    if (scored.length) {
+      await Video.bulkWrite(scored.map(video => ({
+        updateOne: { filter: { _id: video._id }, update: { trendingScore: video.score } }
+      })));
+    }
+
+    await Video.updateMany(
+      { trendingScore: { $gt: 0 }, _id: { $nin: scored.map(video => video._id) } },
+      { trendingScore: 0 }
+    );
+  } catch (error) {
+    console.error('Error refreshing trending scores:', error);
+  }
+};
+
+// Start the periodic refresh; runs once immediately so the list isn't empty after a restart
+const startTrendingRefresh = () => {
+  refreshTrendingScores();
+  const timer = setInterval(refreshTrendingScores, REFRESH_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  refreshTrendingScores,
+  startTrendingRefresh
+};
@@ -0,0 +1,109 @@
+const { getVideoDurationInSeconds } = require('get-video-duration');
+const Video = require('../models/Video');
+const jobQueue = require('./jobQueue');
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Parse visibility/publishAt from a request body. A future publishAt keeps
+// the video private until the scheduler releases it with publishVisibility:
+// the requested visibility, else the current one, and public if either of
+// those is private.
+const parseVisibility = ({ visibility, publishAt }, currentVisibility = 'public') => {
+  if (visibility && !VISIBILITIES.includes(visibility)) {
+    return { error: 'Invalid visibility' };
+  }
+
+  if (publishAt) {
+    const date = new Date(publishAt);
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'Invalid publishAt date' };
+    }
+    if (date > new Date()) {
+      const target = visibility || currentVisibility;
+      return {
+        visibility: 'private',
+        publishAt: date,
+        publishVisibility: target === 'private' ? 'public' : target
+      };
+    }
+  }
+
+  return { visibility, publishAt: null, publishVisibility: null };
+};
+
+// Check the details of a new video before any files are moved. Returns {}
+// or { error }.
+const validateVideoFields = (fields) => {
+  const { error } = parseVisibility(fields);
+  if (error) {
+    return { error };
+  }
+
+  const { title, description, category } = fields;
+  const invalid = new Video({ title, description, category: category || undefined })
+    .validateSync(['title', 'description', 'category']);
+  if (invalid) {
+    return { error: Object.values(invalid.errors)[0].message };
+  }
+
+  return {};
+};
+
+// Create a Video from an uploaded file and queue it for processing. Shared by
+// the single-request upload and the resumable upload flow. The thumbnail is
+// optional; without one a generated candidate is used.
+// Resolves with { video } or { error } for invalid input.
+const createVideo = async (user, videoPath, thumbnailPath, fields) => {
+  const { title, description, category, tags } = fields;
+
+  const { error } = validateVideoFields(fields);
+  if (error) {
+    return { error };
+  }
+
+  const { visibility, publishAt, publishVisibility } = parseVisibility(fields);
+
+  // Get video duration
+  let duration = 0;
+  try {
+    duration = await getVideoDurationInSeconds(videoPath);
+  } catch (err) {
+    console.error('Error getting video duration:', err);
+  }
+
+  // Create video document
+  const video = new Video({
+    title,
+    description,
+    videoPath,
+    thumbnailUrl: thumbnailPath ? `/${thumbnailPath}` : '',
+    duration,
+    user: user._id,
+    category: category || 'Entertainment',
+    tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+    visibility: visibility || 'public',
+    publishAt,
+    publishVisibility,
+    processingStatus: 'queued'
+  });
+  video.videoUrl = `/api/videos/${video._id}/stream`;
+
+  await video.save();
+  video.videoPath = undefined;
+
+  // Generate thumbnails and transcode to HLS in the background. Thumbnails
+  // are queued first since they are quick and the creator waits on them.
+  await jobQueue.enqueue('thumbnails', video._id);
+  await jobQueue.enqueue('transcode', video._id);
+
+  // Populate user data for response
+  await video.populate('user', 'username profilePicture');
+
+  return { video };
+};
+
+module.exports = {
+  parseVisibility,
+  validateVideoFields,
+  createVideo
+};
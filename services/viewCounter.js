@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Video = require('../models/Video');
+const ViewEvent = require('../models/ViewEvent');
+const ViewWindow = require('../models/ViewWindow');
+const { retentionBuckets, trackVideo } = require('./analytics');
+
+const DEDUP_WINDOW = 24 * 60 * 60 * 1000; // one view per viewer per video per day
+const MIN_WATCH_SECONDS = 30;
+const SHORT_VIDEO_FRACTION = 0.5; // videos shorter than 60s count at half their length
+const MAX_HEARTBEAT_SECONDS = 60;
+const CLOCK_SLACK_SECONDS = 5;
+
+// Signed-in viewers are identified by their account, anonymous viewers by a
+// hash of their IP address and user agent
+const viewerKey = (req) => {
+  if (req.user) {
+    return `u:${req.user._id}`;
+  }
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `a:${fingerprint}`;
+};
+
+// Seconds of playback needed before a view counts
+const viewThreshold = (duration) => {
+  return duration > 0 ? Math.min(MIN_WATCH_SECONDS, duration * SHORT_VIDEO_FRACTION) : MIN_WATCH_SECONDS;
+};
+
+// Open a fresh window if the viewer has none or theirs has closed. Expired
+// windows are removed by a TTL index, but that only runs once a minute.
+const currentWindow = async (videoId, key, now) => {
+  const window = await ViewWindow.findOne({ video: videoId, viewerKey: key });
+  if (window && window.expiresAt > now) {
+    return window;
+  }
+
+  return ViewWindow.findOneAndUpdate(
+    { video: videoId, viewerKey: key },
+    {
+      $set: {
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + DEDUP_WINDOW),
+        watchedSeconds: 0,
+        lastHeartbeatAt: null,
+        reachedBuckets: [],
+        countedAt: null
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Record a playback heartbeat for a video. Players send one when playback
+// starts and then periodically with the seconds watched since the previous
+// one. A view is counted once the viewer's watch time in the current window
+// reaches the threshold. Resolves with { counted, credited }.
+const recordHeartbeat = async (video, req, { seconds, position }) => {
+  const now = new Date();
+  const key = viewerKey(req);
+
+  let window = await currentWindow(video._id, key, now);
+
+  // Credit no more playback than could have happened since the window
+  // opened, so replaying requests can't fast-forward the count. The slack
+  // for clock drift applies once per window, not per heartbeat.
+  const available = (now - window.startedAt) / 1000 + CLOCK_SLACK_SECONDS - window.watchedSeconds;
+  const credited = Math.max(0, Math.min(seconds, MAX_HEARTBEAT_SECONDS, available));
+
+  // Retention counts each viewer at most once per slice of the video
+  const reached = new Set(window.reachedBuckets);
+  const newBuckets = retentionBuckets(video.duration, Math.max(0, position - credited), position)
+    .filter(bucket => !reached.has(bucket));
+
+  // Only apply on top of the state read above. A heartbeat that raced
+  // another one for the same window gets no credit, so parallel requests
+  // can't each claim the same elapsed time.
+  window = await ViewWindow.findOneAndUpdate(
+    { _id: window._id, lastHeartbeatAt: window.lastHeartbeatAt },
+    {
+      $inc: { watchedSeconds: credited },
+      $set: { lastHeartbeatAt: now },
+      $addToSet: { reachedBuckets: { $each: newBuckets } }
+    },
+    { new: true }
+  );
+
+  if (!window) {
+    return { counted: false, credited: 0 };
+  }
+
+  let counted = false;
+  if (!window.countedAt && window.watchedSeconds >= viewThreshold(video.duration)) {
+    const claim = await ViewWindow.updateOne({ _id: window._id, countedAt: null }, { countedAt: now });
+    counted = claim.modifiedCount > 0;
+  }
+
+  if (counted) {
+    await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  }
+
+  const stats = { watchTimeSeconds: credited, ...(counted && { views: 1 }) };
+  newBuckets.forEach(bucket => { stats[`retention.${bucket}`] = 1; });
+  await trackVideo(video._id, stats);
+
+  await ViewEvent.create({
+    video: video._id,
+    user: req.user ? req.user._id : null,
+    viewerKey: key,
+    seconds: credited,
+    position,
+    counted
+  });
+
+  return { counted, credited };
+};
+
+module.exports = {
+  recordHeartbeat
+};